@@ -7,6 +7,13 @@
 import { IPv6Utils } from './core/ipv6-utils.js';
 import { OverlapEngine } from './core/overlap-engine.js';
 import { ValidationEngine } from './core/validation.js';
+import { SixRDCalculator } from './core/sixrd.js';
+import { MAPCalculator } from './core/map-calculator.js';
+import { NPTv6Translator } from './core/nptv6.js';
+import { AddressRepresentations } from './core/representations.js';
+import { ULAGenerator } from './core/ula-generator.js';
+import { AddressGenerator } from './core/address-generator.js';
+import { SLAACSimulator } from './core/slaac-simulator.js';
 
 // Importações dos módulos de UI
 import { UIManager } from './modules/ui-manager.js';
@@ -30,6 +37,7 @@ class IPv6CheckerApp {
       theme: 'light',
       autoSave: true,
       debug: false,
+      hostBitsMode: 'warn',
       language: 'pt-BR'
     };
   }
@@ -102,6 +110,7 @@ class IPv6CheckerApp {
       // Inicializar ValidationEngine
       const validationEngine = new ValidationEngine();
       await validationEngine.init();
+      validationEngine.setIPv6Utils(ipv6Utils);
       this.modules.set('validationEngine', validationEngine);
       
       // Inicializar OverlapEngine
@@ -111,6 +120,51 @@ class IPv6CheckerApp {
       overlapEngine.setIPv6Utils(ipv6Utils);
       this.modules.set('overlapEngine', overlapEngine);
       
+      // Inicializar NPTv6Translator
+      const nptv6 = new NPTv6Translator();
+      await nptv6.init();
+      nptv6.setIPv6Utils(ipv6Utils);
+      nptv6.setOverlapEngine(overlapEngine);
+      this.modules.set('nptv6', nptv6);
+      
+      // Inicializar AddressRepresentations
+      const representations = new AddressRepresentations();
+      await representations.init();
+      representations.setIPv6Utils(ipv6Utils);
+      this.modules.set('representations', representations);
+      
+      // Inicializar ULAGenerator
+      const ulaGenerator = new ULAGenerator();
+      await ulaGenerator.init();
+      ulaGenerator.setIPv6Utils(ipv6Utils);
+      ulaGenerator.setOverlapEngine(overlapEngine);
+      this.modules.set('ulaGenerator', ulaGenerator);
+      
+      // Inicializar AddressGenerator
+      const addressGenerator = new AddressGenerator();
+      await addressGenerator.init();
+      addressGenerator.setIPv6Utils(ipv6Utils);
+      this.modules.set('addressGenerator', addressGenerator);
+      
+      // Inicializar SLAACSimulator
+      const slaac = new SLAACSimulator();
+      await slaac.init();
+      slaac.setIPv6Utils(ipv6Utils);
+      slaac.setAddressGenerator(addressGenerator);
+      this.modules.set('slaac', slaac);
+      
+      // Inicializar SixRDCalculator
+      const sixrd = new SixRDCalculator();
+      await sixrd.init();
+      sixrd.setIPv6Utils(ipv6Utils);
+      this.modules.set('sixrd', sixrd);
+      
+      // Inicializar MAPCalculator
+      const mapCalculator = new MAPCalculator();
+      await mapCalculator.init();
+      mapCalculator.setIPv6Utils(ipv6Utils);
+      this.modules.set('mapCalculator', mapCalculator);
+      
       console.log('✅ Módulos core inicializados');
       
     } catch (error) {
@@ -190,6 +244,9 @@ class IPv6CheckerApp {
       // Aplicar tema
       this.applyTheme(this.config.theme);
       
+      // Aplicar modo de bits de host
+      this.applyHostBitsMode(this.config.hostBitsMode);
+      
       // Configurar atalhos de teclado globais
       this.setupGlobalKeyboardShortcuts();
       
@@ -277,6 +334,23 @@ class IPv6CheckerApp {
     this.saveConfig();
   }
 
+  /**
+   * Aplica modo de bits de host (lenient, warn ou strict)
+   */
+  applyHostBitsMode(mode) {
+    const ipv6Utils = this.modules.get('ipv6Utils');
+    if (!ipv6Utils) return;
+    
+    try {
+      ipv6Utils.setHostBitsMode(mode);
+    } catch (error) {
+      console.warn('Modo de bits de host inválido, usando padrão:', error);
+      ipv6Utils.setHostBitsMode('warn');
+    }
+    
+    this.config.hostBitsMode = ipv6Utils.hostBitsMode;
+  }
+
   /**
    * Alterna tema
    */
@@ -464,6 +538,15 @@ class IPv6CheckerApp {
           </select>
         </div>
         
+        <div class="setting-group">
+          <label for="hostBitsModeSelect">Bits de host em prefixos:</label>
+          <select id="hostBitsModeSelect" class="input-field">
+            <option value="lenient" ${this.config.hostBitsMode === 'lenient' ? 'selected' : ''}>Ignorar (mascarar)</option>
+            <option value="warn" ${this.config.hostBitsMode === 'warn' ? 'selected' : ''}>Avisar</option>
+            <option value="strict" ${this.config.hostBitsMode === 'strict' ? 'selected' : ''}>Estrito (erro)</option>
+          </select>
+        </div>
+        
         <div class="setting-group">
           <label class="checkbox-label">
             <input type="checkbox" id="autoSaveCheck" ${this.config.autoSave ? 'checked' : ''}>
@@ -495,6 +578,7 @@ class IPv6CheckerApp {
     const themeSelect = document.getElementById('themeSelect');
     const autoSaveCheck = document.getElementById('autoSaveCheck');
     const debugModeCheck = document.getElementById('debugModeCheck');
+    const hostBitsModeSelect = document.getElementById('hostBitsModeSelect');
     
     if (themeSelect) {
       const theme = themeSelect.value;
@@ -514,6 +598,10 @@ class IPv6CheckerApp {
       this.config.debug = debugModeCheck.checked;
     }
     
+    if (hostBitsModeSelect) {
+      this.applyHostBitsMode(hostBitsModeSelect.value);
+    }
+    
     this.saveConfig();
     this.closeAllModals();
     this.notify('Configurações salvas com sucesso!', 'success');
@@ -527,11 +615,13 @@ class IPv6CheckerApp {
       theme: 'light',
       autoSave: true,
       debug: false,
+      hostBitsMode: 'warn',
       language: 'pt-BR'
     };
     
     this.saveConfig();
     this.applyTheme('light');
+    this.applyHostBitsMode('warn');
     this.closeAllModals();
     this.notify('Configurações restauradas para padrão', 'info');
   }
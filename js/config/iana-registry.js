@@ -0,0 +1,503 @@
+/**
+ * IANA Registry - Base única de classificação de endereços IPv6
+ * IANA IPv6 Special-Purpose Address Registry, complementado pelos blocos do
+ * IPv6 Address Space usados na classificação (global unicast, multicast, site-local)
+ */
+
+/**
+ * Atributos seguem as colunas do registro IANA:
+ * source, destination, forwardable, globallyReachable, reservedByProtocol
+ * (null = "N/A" ou bloco fora do registro de propósito especial)
+ */
+export const SpecialPurposeRegistry = [
+  {
+    prefix: '::1/128',
+    type: 'Loopback',
+    name: 'Loopback Address',
+    rfc: 'RFC 4291',
+    description: 'Interface de loopback',
+    scope: 'Host',
+    source: false,
+    destination: false,
+    forwardable: false,
+    globallyReachable: false,
+    reservedByProtocol: true,
+    specialPurpose: true
+  },
+  {
+    prefix: '::/128',
+    type: 'Unspecified',
+    name: 'Unspecified Address',
+    rfc: 'RFC 4291',
+    description: 'Endereço não especificado',
+    scope: 'None',
+    source: true,
+    destination: false,
+    forwardable: false,
+    globallyReachable: false,
+    reservedByProtocol: true,
+    specialPurpose: true
+  },
+  {
+    prefix: '::ffff:0:0/96',
+    type: 'IPv4-Mapped',
+    name: 'IPv4-mapped Address',
+    rfc: 'RFC 4291',
+    description: 'Endereço IPv4 mapeado em IPv6',
+    scope: 'Host',
+    source: false,
+    destination: false,
+    forwardable: false,
+    globallyReachable: false,
+    reservedByProtocol: true,
+    specialPurpose: true
+  },
+  {
+    prefix: '64:ff9b::/96',
+    type: 'IPv4-Embedded',
+    name: 'IPv4-IPv6 Translat.',
+    rfc: 'RFC 6052',
+    description: 'Well-Known Prefix para tradução IPv4/IPv6 (NAT64)',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: true,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '64:ff9b:1::/48',
+    type: 'IPv4-Embedded Local-Use',
+    name: 'IPv4-IPv6 Translat.',
+    rfc: 'RFC 8215',
+    description: 'Prefixo de uso local para tradução IPv4/IPv6',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: false,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '100::/64',
+    type: 'Discard-Only',
+    name: 'Discard-Only Address Block',
+    rfc: 'RFC 6666',
+    description: 'Bloco de descarte (blackhole remoto)',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: false,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '2001::/23',
+    type: 'IETF Protocol Assignments',
+    name: 'IETF Protocol Assignments',
+    rfc: 'RFC 2928',
+    description: 'Bloco reservado para atribuições de protocolos da IETF',
+    scope: 'Global',
+    source: false,
+    destination: false,
+    forwardable: false,
+    globallyReachable: false,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '2001::/32',
+    type: 'Teredo',
+    name: 'TEREDO',
+    rfc: 'RFC 4380',
+    description: 'Túnel Teredo',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: null,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '2001:1::1/128',
+    type: 'PCP Anycast',
+    name: 'Port Control Protocol Anycast',
+    rfc: 'RFC 7723',
+    description: 'Anycast do servidor PCP',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: true,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '2001:1::2/128',
+    type: 'TURN Anycast',
+    name: 'Traversal Using Relays around NAT Anycast',
+    rfc: 'RFC 8155',
+    description: 'Anycast do servidor TURN',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: true,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '2001:1::3/128',
+    type: 'DNS-SD SRP Anycast',
+    name: 'DNS-SD Service Registration Protocol Anycast',
+    rfc: 'RFC 9665',
+    description: 'Anycast do servidor SRP (DNS-SD)',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: true,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '2001:2::/48',
+    type: 'Benchmarking',
+    name: 'Benchmarking',
+    rfc: 'RFC 5180',
+    description: 'Testes de desempenho em laboratório',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: false,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '2001:3::/32',
+    type: 'AMT',
+    name: 'AMT',
+    rfc: 'RFC 7450',
+    description: 'Automatic Multicast Tunneling',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: true,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '2001:4:112::/48',
+    type: 'AS112',
+    name: 'AS112-v6',
+    rfc: 'RFC 7535',
+    description: 'Servidores AS112 (DNS reverso de endereços privados)',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: true,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '2001:10::/28',
+    type: 'ORCHID (Deprecated)',
+    name: 'Deprecated (previously ORCHID)',
+    rfc: 'RFC 4843',
+    description: 'ORCHID original, substituído pelo ORCHIDv2',
+    scope: 'Global',
+    source: false,
+    destination: false,
+    forwardable: false,
+    globallyReachable: false,
+    reservedByProtocol: false,
+    specialPurpose: true,
+    deprecated: true
+  },
+  {
+    prefix: '2001:20::/28',
+    type: 'ORCHIDv2',
+    name: 'ORCHIDv2',
+    rfc: 'RFC 7343',
+    description: 'Identificadores criptográficos de host (ORCHIDv2)',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: true,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '2001:30::/28',
+    type: 'DET',
+    name: 'Drone Remote ID Protocol Entity Tags (DETs) Prefix',
+    rfc: 'RFC 9374',
+    description: 'Identificadores de drones (DRIP Entity Tags)',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: true,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '2001:db8::/32',
+    type: 'Documentation',
+    name: 'Documentation',
+    rfc: 'RFC 3849',
+    description: 'Documentação e exemplos',
+    scope: 'Documentation',
+    source: false,
+    destination: false,
+    forwardable: false,
+    globallyReachable: false,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '2002::/16',
+    type: '6to4',
+    name: '6to4',
+    rfc: 'RFC 3056',
+    description: 'Túnel 6to4',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: null,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '2620:4f:8000::/48',
+    type: 'AS112',
+    name: 'Direct Delegation AS112 Service',
+    rfc: 'RFC 7534',
+    description: 'Serviço AS112 por delegação direta',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: true,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '3fff::/20',
+    type: 'Documentation',
+    name: 'Documentation',
+    rfc: 'RFC 9637',
+    description: 'Documentação e exemplos (bloco ampliado)',
+    scope: 'Documentation',
+    source: false,
+    destination: false,
+    forwardable: false,
+    globallyReachable: false,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: '5f00::/16',
+    type: 'SRv6 SIDs',
+    name: 'Segment Routing (SRv6) SIDs',
+    rfc: 'RFC 9602',
+    description: 'Identificadores de segmento SRv6',
+    scope: 'Global',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: false,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: 'fc00::/7',
+    type: 'Unique Local',
+    name: 'Unique-Local',
+    rfc: 'RFC 4193',
+    description: 'Unique Local Unicast',
+    scope: 'Organization',
+    source: true,
+    destination: true,
+    forwardable: true,
+    globallyReachable: false,
+    reservedByProtocol: false,
+    specialPurpose: true
+  },
+  {
+    prefix: 'fe80::/10',
+    type: 'Link-Local',
+    name: 'Link-Local Unicast',
+    rfc: 'RFC 4291',
+    description: 'Link-local unicast',
+    scope: 'Link',
+    source: true,
+    destination: true,
+    forwardable: false,
+    globallyReachable: false,
+    reservedByProtocol: true,
+    specialPurpose: true
+  },
+
+  // Blocos do IPv6 Address Space (fora do registro de propósito especial)
+  {
+    prefix: '2000::/3',
+    type: 'Global Unicast',
+    name: 'Global Unicast',
+    rfc: 'RFC 4291',
+    description: 'Espaço global unicast',
+    scope: 'Global',
+    source: null,
+    destination: null,
+    forwardable: null,
+    globallyReachable: null,
+    reservedByProtocol: null,
+    specialPurpose: false
+  },
+  {
+    prefix: 'fec0::/10',
+    type: 'Site-Local (Deprecated)',
+    name: 'Site-Local Unicast',
+    rfc: 'RFC 3879',
+    description: 'Site-local unicast, depreciado',
+    scope: 'Site',
+    source: null,
+    destination: null,
+    forwardable: null,
+    globallyReachable: false,
+    reservedByProtocol: null,
+    specialPurpose: false,
+    deprecated: true
+  },
+  {
+    prefix: 'ff00::/8',
+    type: 'Multicast',
+    name: 'Multicast',
+    rfc: 'RFC 4291',
+    description: 'Endereços multicast',
+    scope: null, // Definido pelo campo de escopo do próprio endereço
+    source: false,
+    destination: true,
+    forwardable: null,
+    globallyReachable: null,
+    reservedByProtocol: null,
+    specialPurpose: false
+  }
+];
+
+/**
+ * Classificação para endereços fora de qualquer bloco alocado
+ */
+export const ReservedRegistryEntry = {
+  prefix: '::/0',
+  type: 'Reserved',
+  name: 'Reserved by IETF',
+  rfc: 'RFC 4291',
+  description: 'Espaço reservado pela IETF, sem alocação',
+  scope: 'Unknown',
+  source: null,
+  destination: null,
+  forwardable: false,
+  globallyReachable: false,
+  reservedByProtocol: null,
+  specialPurpose: false
+};
+
+/**
+ * IPv6 Multicast Address Scopes (RFC 4291, RFC 7346) - todos os 16 valores
+ */
+export const MulticastScopes = [
+  'Reserved',            // 0
+  'Interface-Local',     // 1
+  'Link-Local',          // 2
+  'Realm-Local',         // 3 (RFC 7346)
+  'Admin-Local',         // 4
+  'Site-Local',          // 5
+  'Unassigned',          // 6
+  'Unassigned',          // 7
+  'Organization-Local',  // 8
+  'Unassigned',          // 9
+  'Unassigned',          // a
+  'Unassigned',          // b
+  'Unassigned',          // c
+  'Unassigned',          // d
+  'Global',              // e
+  'Reserved'             // f
+];
+
+/**
+ * Grupos multicast bem conhecidos (IPv6 Multicast Address Space Registry)
+ * "X" no segundo octeto indica grupo de escopo variável (qualquer escopo)
+ */
+export const MulticastGroupRegistry = [
+  { group: 'ff01::1', name: 'All Nodes', rfc: 'RFC 4291' },
+  { group: 'ff02::1', name: 'All Nodes', rfc: 'RFC 4291' },
+  { group: 'ff01::2', name: 'All Routers', rfc: 'RFC 4291' },
+  { group: 'ff02::2', name: 'All Routers', rfc: 'RFC 4291' },
+  { group: 'ff05::2', name: 'All Routers', rfc: 'RFC 4291' },
+  { group: 'ff02::5', name: 'OSPFv3 All SPF Routers', rfc: 'RFC 5340' },
+  { group: 'ff02::6', name: 'OSPFv3 All DR Routers', rfc: 'RFC 5340' },
+  { group: 'ff02::9', name: 'RIPng Routers', rfc: 'RFC 2080' },
+  { group: 'ff02::a', name: 'EIGRP Routers', rfc: 'RFC 7868' },
+  { group: 'ff02::d', name: 'All PIM Routers', rfc: 'RFC 7761' },
+  { group: 'ff02::12', name: 'VRRP', rfc: 'RFC 9568' },
+  { group: 'ff02::16', name: 'All MLDv2-capable Routers', rfc: 'RFC 3810' },
+  { group: 'ff02::1a', name: 'All RPL Nodes', rfc: 'RFC 6550' },
+  { group: 'ff02::1:2', name: 'All DHCP Relay Agents and Servers', rfc: 'RFC 8415' },
+  { group: 'ff02::1:3', name: 'LLMNR', rfc: 'RFC 4795' },
+  { group: 'ff05::1:3', name: 'All DHCP Servers', rfc: 'RFC 8415' },
+  { group: 'ff0X::fb', name: 'mDNSv6', rfc: 'RFC 6762' },
+  { group: 'ff0X::101', name: 'NTP', rfc: 'RFC 5905' },
+  { group: 'ff0X::181', name: 'PTP (IEEE 1588)', rfc: 'IEEE 1588' }
+];
+
+/**
+ * Reserved IPv6 Interface Identifiers (RFC 5453), com início e fim do intervalo de IIDs
+ */
+export const ReservedInterfaceIdentifiers = [
+  { start: '0000:0000:0000:0000', end: '0000:0000:0000:0000', name: 'Subnet-Router Anycast', rfc: 'RFC 4291' },
+  { start: 'fdff:ffff:ffff:ff80', end: 'fdff:ffff:ffff:ffff', name: 'Reserved Subnet Anycast', rfc: 'RFC 2526' },
+  { start: '0200:5eff:fe00:0000', end: '0200:5eff:fe00:5212', name: 'Reserved IPv6 Interface Identifiers corresponding to the IANA Ethernet Block', rfc: 'RFC 4291' },
+  { start: '0200:5eff:fe00:5213', end: '0200:5eff:fe00:5213', name: 'Proxy Mobile IPv6', rfc: 'RFC 6543' },
+  { start: '0200:5eff:fe00:5214', end: '0200:5eff:feff:ffff', name: 'Reserved IPv6 Interface Identifiers corresponding to the IANA Ethernet Block', rfc: 'RFC 4291' }
+];
+
+/**
+ * Portas de serviço comuns procuradas em IIDs com porta embutida (RFC 7707, seção 4.1.1.3)
+ */
+export const WellKnownServicePorts = {
+  21: 'FTP',
+  22: 'SSH',
+  23: 'Telnet',
+  25: 'SMTP',
+  53: 'DNS',
+  80: 'HTTP',
+  110: 'POP3',
+  123: 'NTP',
+  143: 'IMAP',
+  179: 'BGP',
+  389: 'LDAP',
+  443: 'HTTPS',
+  465: 'SMTPS',
+  587: 'Submission',
+  636: 'LDAPS',
+  853: 'DNS over TLS',
+  993: 'IMAPS',
+  995: 'POP3S',
+  1194: 'OpenVPN',
+  3306: 'MySQL',
+  3389: 'RDP',
+  5060: 'SIP',
+  5432: 'PostgreSQL',
+  8080: 'HTTP alternativo',
+  8443: 'HTTPS alternativo'
+};
@@ -0,0 +1,346 @@
+/**
+ * Address Generator - Geração em lote de endereços dentro de um prefixo
+ * Aleatório (crypto.getRandomValues), sequencial, low-byte, EUI-64 e estável opaco (RFC 7217)
+ */
+
+export class AddressGenerator {
+  constructor() {
+    this.ipv6Utils = null;
+
+    this.MODES = {
+      random: 'Aleatório',
+      sequential: 'Sequencial',
+      'low-byte': 'Low-byte',
+      eui64: 'EUI-64 (lista de MACs)',
+      rfc7217: 'Estável opaco (RFC 7217)'
+    };
+
+    this.MAX_COUNT = 10000;
+    this.IDGEN_RETRIES = 3;          // RFC 7217, seção 6
+    this.DEFAULT_HASH = 'SHA-256';
+    this.HASH_ALGORITHMS = ['SHA-1', 'SHA-256', 'SHA-384', 'SHA-512'];
+    this.IID_MASK = 0xffffffffffffffffn;
+  }
+
+  /**
+   * Inicializa o módulo
+   */
+  async init() {
+    console.log('[AddressGenerator] Inicializando...');
+    console.log('[AddressGenerator] ✅ Inicializado');
+    return true;
+  }
+
+  /**
+   * Define referência para IPv6Utils
+   */
+  setIPv6Utils(ipv6Utils) {
+    this.ipv6Utils = ipv6Utils;
+  }
+
+  /**
+   * Gera N endereços únicos no prefixo, evitando IIDs reservados
+   * @param {Object} options - { prefix, mode, count, offset, macs, interfaces, secret, networkId, hash }
+   */
+  async generate(options = {}) {
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+
+    const mode = options.mode || 'random';
+    if (!this.MODES[mode]) {
+      throw new Error(`Modo de geração desconhecido: ${mode}`);
+    }
+
+    const prefix = this.parsePrefix(options.prefix);
+    const count = this.resolveCount(mode, options);
+
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(mode === 'eui64' ? 'Informe pelo menos um MAC' : 'Quantidade deve ser um inteiro positivo');
+    }
+
+    if (count > this.MAX_COUNT) {
+      throw new Error(`Quantidade máxima por geração: ${this.MAX_COUNT}`);
+    }
+
+    if (BigInt(count) > this.getCapacity(prefix)) {
+      throw new Error(`Prefixo ${prefix.cidr} não comporta ${count} endereços`);
+    }
+
+    const generated = new Set();
+    const result = { prefix: prefix.cidr, mode: mode, modeName: this.MODES[mode], addresses: [], skipped: [] };
+
+    // Descartes do modo aleatório não são listados: basta sortear de novo
+    const accept = (host, label = null, track = true) => {
+      const value = prefix.network | host;
+      const reason = this.isReservedHost(host, prefix.length) ? 'IID reservado' :
+        (generated.has(value) ? 'Duplicado' : null);
+
+      if (reason) {
+        if (track) result.skipped.push({ address: this.format(value), reason, label });
+        return false;
+      }
+
+      generated.add(value);
+      result.addresses.push(this.format(value));
+      return true;
+    };
+
+    switch (mode) {
+      case 'random':
+        this.generateRandom(prefix, count, accept);
+        break;
+      case 'sequential':
+        this.generateSequential(prefix, count, this.parseOffset(options.offset), accept);
+        break;
+      case 'low-byte':
+        this.generateLowByte(prefix, count, accept);
+        break;
+      case 'eui64':
+        this.generateEUI64(prefix, options.macs, accept);
+        break;
+      case 'rfc7217':
+        await this.generateStableOpaque(prefix, count, options, accept);
+        break;
+    }
+
+    return result;
+  }
+
+  /**
+   * Listas de MACs ou de interfaces definem a quantidade nos modos correspondentes
+   */
+  resolveCount(mode, options) {
+    if (mode === 'eui64') return (options.macs || []).length;
+    if (mode === 'rfc7217' && options.interfaces?.length > 0) return options.interfaces.length;
+    return parseInt(options.count, 10);
+  }
+
+  /**
+   * Hosts aleatórios uniformes no espaço de host do prefixo
+   */
+  generateRandom(prefix, count, accept) {
+    // Limite de tentativas para prefixos quase cheios
+    const maxAttempts = count * 20 + 100;
+    let accepted = 0;
+
+    for (let attempt = 0; accepted < count && attempt < maxAttempts; attempt++) {
+      if (accept(this.randomBits(prefix.hostBits), null, false)) accepted++;
+    }
+
+    if (accepted < count) {
+      throw new Error(`Só foi possível gerar ${accepted} endereços únicos em ${prefix.cidr}`);
+    }
+  }
+
+  /**
+   * Hosts consecutivos a partir do deslocamento
+   */
+  generateSequential(prefix, count, offset, accept) {
+    let accepted = 0;
+
+    for (let host = offset; accepted < count; host++) {
+      if (host >= prefix.size) {
+        throw new Error(`Deslocamento ${offset} + ${count} endereços excede ${prefix.cidr}`);
+      }
+      if (accept(host)) accepted++;
+    }
+  }
+
+  /**
+   * ::1 a ::ff em cada sub-rede /64 (ou nos bits de host, em prefixos maiores que /64)
+   */
+  generateLowByte(prefix, count, accept) {
+    // Em prefixos maiores que /64, os 128 valores de host mais altos são anycast reservado
+    const usable = prefix.length > 64 && prefix.hostBits >= 8 ? prefix.size - 129n : prefix.size - 1n;
+    const perSubnet = usable < 255n ? usable : 255n;
+    const subnetShift = prefix.length <= 64 ? 64n : 0n;
+    const subnets = prefix.length < 64 ? 1n << BigInt(64 - prefix.length) : 1n;
+
+    if (BigInt(count) > perSubnet * subnets) {
+      throw new Error(`Prefixo ${prefix.cidr} comporta apenas ${perSubnet * subnets} endereços low-byte`);
+    }
+
+    let accepted = 0;
+    for (let i = 0n; i < BigInt(count); i++) {
+      if (accept(((i / perSubnet) << subnetShift) | (i % perSubnet + 1n))) accepted++;
+    }
+
+    if (accepted < count) {
+      throw new Error(`Só foi possível gerar ${accepted} endereços low-byte em ${prefix.cidr}`);
+    }
+  }
+
+  /**
+   * IID EUI-64 modificado para cada MAC da lista
+   */
+  generateEUI64(prefix, macs, accept) {
+    this.requireInterfaceIdSpace(prefix, 'EUI-64');
+
+    macs.forEach(mac => {
+      accept(this.ipv6Utils.macToInterfaceId(mac), mac);
+    });
+  }
+
+  /**
+   * IID estável opaco por interface; colisões incrementam o DAD_Counter (RFC 7217, seção 6)
+   */
+  async generateStableOpaque(prefix, count, options, accept) {
+    this.requireInterfaceIdSpace(prefix, 'RFC 7217');
+
+    if (!options.secret) {
+      throw new Error('Informe a chave secreta (secret_key) para o modo RFC 7217');
+    }
+
+    const interfaces = options.interfaces?.length > 0 ?
+      options.interfaces :
+      Array.from({ length: count }, (_, i) => `host-${i + 1}`);
+
+    for (const netIface of interfaces) {
+      for (let dadCounter = 0; dadCounter <= this.IDGEN_RETRIES; dadCounter++) {
+        const iid = await this.computeStableInterfaceId(prefix.network, {
+          netIface,
+          networkId: options.networkId,
+          dadCounter,
+          secret: options.secret,
+          hash: options.hash
+        });
+
+        if (accept(iid, `${netIface} (DAD_Counter ${dadCounter})`)) break;
+      }
+    }
+  }
+
+  /**
+   * RID = F(Prefix, Net_Iface, Network_ID, DAD_Counter, secret_key); IID = 64 bits menos significativos
+   */
+  async computeStableInterfaceId(network, params) {
+    const encoder = new TextEncoder();
+    const prefixBytes = Array.from({ length: 8 }, (_, i) => Number((network >> BigInt(120 - i * 8)) & 0xffn));
+
+    return this.digestToInterfaceId([
+      prefixBytes,
+      encoder.encode(params.netIface || ''),
+      encoder.encode(params.networkId || ''),
+      [params.dadCounter || 0],
+      encoder.encode(params.secret)
+    ], params.hash);
+  }
+
+  /**
+   * Aplica F() sobre os campos concatenados e extrai os 64 bits menos significativos
+   * @param {string|Function} hash - Algoritmo Web Crypto ou função (bytes) => digest
+   */
+  async digestToInterfaceId(fields, hash = this.DEFAULT_HASH) {
+    const input = new Uint8Array(fields.flatMap(field => [...field]));
+    let digest;
+
+    if (typeof hash === 'function') {
+      digest = await hash(input);
+    } else {
+      if (!this.HASH_ALGORITHMS.includes(hash)) {
+        throw new Error(`Função de hash não suportada: ${hash}`);
+      }
+      if (!globalThis.crypto?.subtle) {
+        throw new Error(`Web Crypto (${hash}) indisponível neste contexto`);
+      }
+      digest = await crypto.subtle.digest(hash, input);
+    }
+
+    const bytes = new Uint8Array(digest);
+    if (bytes.length < 8) {
+      throw new Error('Função de hash deve produzir ao menos 64 bits');
+    }
+
+    return bytes.slice(-8).reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+  }
+
+  /**
+   * Subnet-Router anycast, IIDs da RFC 5453 e, fora do formato de 64 bits,
+   * os 128 maiores valores de host (anycast de sub-rede, RFC 2526)
+   */
+  isReservedHost(host, length) {
+    // /127 é isento do anycast Subnet-Router (RFC 6164)
+    if (host === 0n && length < 127) return true;
+
+    if (length <= 64) {
+      return this.ipv6Utils.getReservedInterfaceId(host & this.IID_MASK) !== null;
+    }
+
+    const hostBits = 128 - length;
+    return hostBits >= 8 && host >= (1n << BigInt(hostBits)) - 128n;
+  }
+
+  /**
+   * Hosts utilizáveis; com IID de 64 bits os poucos valores da RFC 5453 são desprezíveis
+   */
+  getCapacity(prefix) {
+    const subnetRouter = prefix.length < 127 ? 1n : 0n;
+    const subnetAnycast = prefix.length > 64 && prefix.hostBits >= 8 ? 128n : 0n;
+    return prefix.size - subnetRouter - subnetAnycast;
+  }
+
+  /**
+   * Valida o prefixo e calcula o espaço de host
+   */
+  parsePrefix(prefix) {
+    const validation = this.ipv6Utils.validateIPv6((prefix || '').trim());
+    if (!validation.valid) {
+      throw new Error(`Prefixo inválido: ${validation.error}`);
+    }
+
+    if (validation.prefix === null) {
+      throw new Error('Informe o comprimento do prefixo (ex.: 2001:db8:1::/64)');
+    }
+
+    const network = this.ipv6Utils.ipv6ToBigInt(validation.expanded) & this.ipv6Utils.calculateNetworkMask(validation.prefix);
+    const hostBits = 128 - validation.prefix;
+
+    return {
+      network: network,
+      length: validation.prefix,
+      hostBits: hostBits,
+      size: 1n << BigInt(hostBits),
+      cidr: this.ipv6Utils.formatCIDR(network, validation.prefix)
+    };
+  }
+
+  /**
+   * Deslocamento decimal ou hexadecimal (0x...)
+   */
+  parseOffset(offset) {
+    const text = String(offset ?? '').trim();
+    if (!text) return 1n;
+
+    if (!/^(\d+|0x[0-9a-f]+)$/i.test(text)) {
+      throw new Error(`Deslocamento inválido: ${text}`);
+    }
+
+    return BigInt(text);
+  }
+
+  /**
+   * Modos baseados em IID exigem prefixo /64 ou menor
+   */
+  requireInterfaceIdSpace(prefix, label) {
+    if (prefix.length > 64) {
+      throw new Error(`Modo ${label} requer prefixo /64 ou menor (IID de 64 bits)`);
+    }
+  }
+
+  /**
+   * Bits aleatórios criptograficamente seguros
+   */
+  randomBits(bits) {
+    const bytes = crypto.getRandomValues(new Uint8Array(Math.ceil(bits / 8)));
+    const value = bytes.reduce((acc, byte) => (acc << 8n) | BigInt(byte), 0n);
+    return value & ((1n << BigInt(bits)) - 1n);
+  }
+
+  /**
+   * Formata endereço comprimido
+   */
+  format(value) {
+    return this.ipv6Utils.compressAddress(this.ipv6Utils.bigIntToIPv6(value));
+  }
+}
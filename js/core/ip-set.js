@@ -0,0 +1,220 @@
+/**
+ * IPSet - Conjunto imutável de endereços IPv6
+ * Mantém uma lista normalizada de intervalos e implementa álgebra de conjuntos
+ */
+
+const MAX_IPV6 = (1n << 128n) - 1n;
+
+export class IPSet {
+  /**
+   * @param {Array<{start: bigint, end: bigint}>} ranges - Intervalos inclusivos
+   * @param {IPv6Utils} ipv6Utils - Usado para formatar e interpretar CIDRs
+   */
+  constructor(ranges = [], ipv6Utils = null) {
+    this.ipv6Utils = ipv6Utils;
+    this.ranges = Object.freeze(IPSet.normalize(ranges).map(range => Object.freeze(range)));
+    Object.freeze(this);
+  }
+
+  /**
+   * Cria conjunto a partir de CIDRs, endereços ou intervalos "início - fim"
+   */
+  static from(inputs, ipv6Utils) {
+    if (!ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+
+    const list = Array.isArray(inputs) ? inputs : [inputs];
+    const ranges = list.map(input => {
+      if (ipv6Utils.isRange(input)) {
+        const { start, end } = ipv6Utils.parseRange(input);
+        return { start, end };
+      }
+
+      const { network, prefix } = ipv6Utils.parseCIDR(input.trim());
+      return { start: network, end: network + ipv6Utils.getBlockSize(prefix) - 1n };
+    });
+
+    return new IPSet(ranges, ipv6Utils);
+  }
+
+  /**
+   * Ordena e funde intervalos sobrepostos ou adjacentes
+   */
+  static normalize(ranges) {
+    const sorted = ranges
+      .map(({ start, end }) => {
+        if (typeof start !== 'bigint' || typeof end !== 'bigint' || start < 0n || end > MAX_IPV6 || start > end) {
+          throw new Error('Intervalo inválido para IPSet');
+        }
+        return { start, end };
+      })
+      .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+    const merged = [];
+    sorted.forEach(range => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end + 1n) {
+        if (range.end > last.end) last.end = range.end;
+      } else {
+        merged.push(range);
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * União com outro conjunto
+   */
+  union(other) {
+    return new IPSet([...this.ranges, ...this.coerce(other).ranges], this.ipv6Utils);
+  }
+
+  /**
+   * Interseção com outro conjunto
+   */
+  intersect(other) {
+    const a = this.ranges;
+    const b = this.coerce(other).ranges;
+    const result = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length && j < b.length) {
+      const start = a[i].start > b[j].start ? a[i].start : b[j].start;
+      const end = a[i].end < b[j].end ? a[i].end : b[j].end;
+
+      if (start <= end) {
+        result.push({ start, end });
+      }
+
+      if (a[i].end < b[j].end) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+
+    return new IPSet(result, this.ipv6Utils);
+  }
+
+  /**
+   * Diferença: endereços deste conjunto que não estão no outro
+   */
+  subtract(other) {
+    return this.intersect(this.coerce(other).complement());
+  }
+
+  /**
+   * Complemento em relação a todo o espaço IPv6 (::/0)
+   */
+  complement() {
+    const result = [];
+    let next = 0n;
+
+    this.ranges.forEach(range => {
+      if (range.start > next) {
+        result.push({ start: next, end: range.start - 1n });
+      }
+      next = range.end + 1n;
+    });
+
+    if (next <= MAX_IPV6) {
+      result.push({ start: next, end: MAX_IPV6 });
+    }
+
+    return new IPSet(result, this.ipv6Utils);
+  }
+
+  /**
+   * Verifica se o conjunto contém inteiramente o outro (IPSet, CIDR ou intervalo)
+   */
+  contains(other) {
+    return this.coerce(other).subtract(this).isEmpty();
+  }
+
+  /**
+   * Verifica se há endereços em comum com o outro conjunto
+   */
+  overlaps(other) {
+    return !this.intersect(other).isEmpty();
+  }
+
+  /**
+   * Conjunto vazio?
+   */
+  isEmpty() {
+    return this.ranges.length === 0;
+  }
+
+  /**
+   * Quantidade de endereços (BigInt)
+   */
+  size() {
+    return this.ranges.reduce((total, range) => total + range.end - range.start + 1n, 0n);
+  }
+
+  /**
+   * Igualdade de conjuntos
+   */
+  equals(other) {
+    const ranges = this.coerce(other).ranges;
+    return ranges.length === this.ranges.length &&
+      ranges.every((range, index) => range.start === this.ranges[index].start && range.end === this.ranges[index].end);
+  }
+
+  /**
+   * Lista mínima de CIDRs que representa o conjunto
+   */
+  toCIDRs() {
+    return [...this];
+  }
+
+  /**
+   * Intervalos formatados { start, end, size }
+   */
+  toRanges() {
+    const utils = this.requireUtils();
+    return this.ranges.map(range => ({
+      start: utils.compressAddress(utils.bigIntToIPv6(range.start)),
+      end: utils.compressAddress(utils.bigIntToIPv6(range.end)),
+      size: (range.end - range.start + 1n).toString()
+    }));
+  }
+
+  /**
+   * Itera o conjunto como CIDRs
+   */
+  *[Symbol.iterator]() {
+    const utils = this.requireUtils();
+    for (const range of this.ranges) {
+      yield* utils.rangeValuesToCIDRs(range.start, range.end);
+    }
+  }
+
+  /**
+   * Serialização (BigInt não é suportado por JSON)
+   */
+  toJSON() {
+    return this.toCIDRs();
+  }
+
+  toString() {
+    return this.toCIDRs().join(', ');
+  }
+
+  /**
+   * Aceita IPSet ou entradas textuais nas operações
+   */
+  coerce(other) {
+    return other instanceof IPSet ? other : IPSet.from(other, this.requireUtils());
+  }
+
+  requireUtils() {
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+    return this.ipv6Utils;
+  }
+}
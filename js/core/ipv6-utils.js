@@ -3,11 +3,26 @@
  * Versão corrigida e otimizada para ES6 modules
  */
 
+import {
+  SpecialPurposeRegistry,
+  ReservedRegistryEntry,
+  MulticastScopes,
+  MulticastGroupRegistry,
+  ReservedInterfaceIdentifiers,
+  WellKnownServicePorts
+} from '../config/iana-registry.js';
+
 export class IPv6Utils {
   constructor() {
     this.cache = new Map();
     this.CACHE_TTL = 300000; // 5 minutos
     this.CACHE_MAX_SIZE = 1000;
+    this.MAX_IPV6 = (1n << 128n) - 1n;
+    
+    // Tratamento de bits de host em contextos que esperam uma rede
+    // lenient: mascara silenciosamente | warn: mascara e avisa | strict: erro
+    this.HOST_BITS_MODES = ['lenient', 'warn', 'strict'];
+    this.hostBitsMode = 'warn';
     
     // Padrões IPv6 compilados para performance
     this.patterns = {
@@ -15,20 +30,51 @@ export class IPv6Utils {
       COMPRESSED: /^(([0-9a-fA-F]{1,4}:)*)?::([0-9a-fA-F]{1,4}:)*[0-9a-fA-F]{1,4}$|^::$/,
       CIDR: /^(.+)\/(\d{1,3})$/,
       ZONE_ID: /^(.+)%(.+)$/,
-      HEX_GROUP: /^[0-9a-fA-F]{1,4}$/
+      HEX_GROUP: /^[0-9a-fA-F]{1,4}$/,
+      IPV4_TAIL: /^(.*:)([0-9.]+)$/,
+      IPV4_OCTET: /^(0|[1-9][0-9]{0,2})$/
+    };
+
+    // Prefixos /96 bem conhecidos que embutem IPv4 e usam notação mista (RFC 5952, seção 5)
+    this.mixedNotationPrefixes = [
+      '0000:0000:0000:0000:0000:ffff', // IPv4-Mapped (RFC 4291)
+      '0000:0000:0000:0000:ffff:0000', // IPv4-Translated (RFC 2765)
+      '0064:ff9b:0000:0000:0000:0000'  // Well-Known Prefix NAT64 (RFC 6052)
+    ];
+    
+    // Prefixos NAT64 conhecidos (RFC 6052, uso local RFC 8215); prefixos específicos de rede via addNAT64Prefix
+    this.nat64Prefixes = ['64:ff9b::/96', '64:ff9b:1::/48'];
+    this.nat64PrefixLengths = [32, 40, 48, 56, 64, 96];
+    
+    // Registro IANA indexado para busca pelo prefixo mais longo
+    this.registry = this.buildRegistryIndex(SpecialPurposeRegistry);
+    
+    // IIDs reservados (RFC 5453) como intervalos de valores de 64 bits
+    this.reservedInterfaceIds = ReservedInterfaceIdentifiers.map(entry => ({
+      ...entry,
+      startValue: BigInt('0x' + entry.start.replace(/:/g, '')),
+      endValue: BigInt('0x' + entry.end.replace(/:/g, ''))
+    }));
+    
+    // Padrões de IID (RFC 7707); scannable = reduz o espaço de busca de uma varredura
+    this.IID_KINDS = {
+      'low-byte': { label: 'Low-byte', scannable: true },
+      'embedded-ipv4': { label: 'IPv4 embutido', scannable: true },
+      'embedded-port': { label: 'Porta de serviço embutida', scannable: true },
+      wordy: { label: 'Palavra hexadecimal', scannable: true },
+      'eui-64': { label: 'EUI-64 modificado', scannable: true },
+      isatap: { label: 'ISATAP', scannable: true },
+      reserved: { label: 'Reservado (RFC 5453)', scannable: true },
+      random: { label: 'Aparentemente aleatório', scannable: false },
+      unknown: { label: 'Padrão não identificado', scannable: false }
     };
     
-    // Alocações RFC para classificação
-    this.rfcAllocations = new Map([
-      ['::1/128', { type: 'Loopback', rfc: 'RFC 4291', description: 'Interface de loopback' }],
-      ['::/128', { type: 'Unspecified', rfc: 'RFC 4291', description: 'Endereço não especificado' }],
-      ['fe80::/10', { type: 'Link-Local', rfc: 'RFC 4291', description: 'Link-local unicast' }],
-      ['ff00::/8', { type: 'Multicast', rfc: 'RFC 4291', description: 'Endereços multicast' }],
-      ['fc00::/7', { type: 'Unique Local', rfc: 'RFC 4193', description: 'Unique Local Unicast' }],
-      ['2001:db8::/32', { type: 'Documentation', rfc: 'RFC 3849', description: 'Documentação e exemplos' }],
-      ['2001::/32', { type: 'Teredo', rfc: 'RFC 4380', description: 'Túnel Teredo' }],
-      ['2002::/16', { type: '6to4', rfc: 'RFC 3056', description: 'Túnel 6to4' }],
-      ['64:ff9b::/96', { type: 'IPv4-Embedded', rfc: 'RFC 6052', description: 'IPv4-Embedded IPv6' }]
+    // Palavras escritas com dígitos hexadecimais (0 = o, 1 = i/l, 5 = s)
+    this.IID_WORDS = new Set([
+      'ace', 'add', 'bad', 'bed', 'bee', 'cab', 'dad', 'fab', 'fed', 'fee',
+      'abba', 'babe', 'ba5e', 'bead', 'beef', 'b00c', 'b055', 'cafe', 'c0de', 'c0c0',
+      'dada', 'dead', 'deaf', 'dec0', 'd00d', 'face', 'fade', 'feed', 'f00d', 'f1ee',
+      '1337', '10ad', '600d', 'acce', 'ca5e', 'c001', 'da7a', 'deca', 'fee1', '5afe'
     ]);
   }
 
@@ -88,7 +134,8 @@ export class IPv6Utils {
     if (!address || typeof address !== 'string') {
       return {
         valid: false,
-        error: 'Endereço deve ser uma string não vazia'
+        error: 'Endereço deve ser uma string não vazia',
+        diagnostics: []
       };
     }
 
@@ -103,7 +150,8 @@ export class IPv6Utils {
     } catch (error) {
       const errorResult = {
         valid: false,
-        error: error.message
+        error: error.message,
+        diagnostics: error.diagnostics || []
       };
       this.setToCache(cacheKey, errorResult);
       return errorResult;
@@ -125,7 +173,7 @@ export class IPv6Utils {
       prefix = parseInt(cidrMatch[2], 10);
       
       if (prefix < 0 || prefix > 128) {
-        throw new Error(`Prefixo CIDR inválido: /${prefix}. Deve estar entre 0 e 128`);
+        throw this.createParseError(address, `Prefixo CIDR inválido: /${prefix}. Deve estar entre 0 e 128`);
       }
     }
 
@@ -141,7 +189,7 @@ export class IPv6Utils {
 
     // Validar formato básico
     if (!this.isValidFormat(cleanAddress)) {
-      throw new Error('Formato de endereço IPv6 inválido');
+      throw this.createParseError(address);
     }
 
     return {
@@ -157,6 +205,166 @@ export class IPv6Utils {
     };
   }
 
+  /**
+   * Cria erro de validação com diagnósticos posicionais anexados
+   */
+  createParseError(address, fallbackMessage = 'Formato de endereço IPv6 inválido') {
+    const diagnostics = this.diagnoseAddress(address);
+    const error = new Error(diagnostics.length > 0 ? diagnostics[0].message : fallbackMessage);
+    error.diagnostics = diagnostics;
+    return error;
+  }
+
+  /**
+   * Diagnostica erros de sintaxe com posição, grupo afetado e sugestão de correção
+   */
+  diagnoseAddress(address) {
+    const diagnostics = [];
+    if (!address || typeof address !== 'string') return diagnostics;
+
+    const input = address;
+    const replaceAt = (offset, length, replacement) =>
+      input.slice(0, offset) + replacement + input.slice(offset + length);
+    const add = (code, offset, length, group, message, suggestion = null) => {
+      diagnostics.push({ code, offset, length, group, message, suggestion });
+    };
+
+    let text = input;
+    let base = 0;
+
+    // Porta após endereço entre colchetes (ex.: [2001:db8::1]:8080)
+    const portMatch = text.match(/^\[([^\]]*)\]:(\d+)$/);
+    if (portMatch) {
+      const offset = text.indexOf(']:') + 1;
+      add('STRAY_PORT', offset, text.length - offset, `:${portMatch[2]}`,
+        `A porta ":${portMatch[2]}" não faz parte do endereço IPv6`, replaceAt(offset, text.length - offset, ''));
+      text = text.slice(0, offset);
+    }
+
+    // Comprimento de prefixo
+    const slash = text.lastIndexOf('/');
+    if (slash !== -1) {
+      const prefixStr = text.slice(slash + 1);
+      if (!/^\d{1,3}$/.test(prefixStr) || parseInt(prefixStr, 10) > 128) {
+        add('INVALID_PREFIX_LENGTH', slash + 1, prefixStr.length, prefixStr,
+          `Prefixo "/${prefixStr}" inválido: deve ser um número entre 0 e 128`);
+      }
+      text = text.slice(0, slash);
+    }
+
+    // Zone ID e colchetes
+    const percent = text.indexOf('%');
+    if (percent !== -1) {
+      text = text.slice(0, percent);
+    }
+    if (text.startsWith('[')) {
+      text = text.slice(1);
+      base = 1;
+    }
+    if (text.endsWith(']')) {
+      text = text.slice(0, -1);
+    }
+
+    if (!text) {
+      add('EMPTY_ADDRESS', base, 0, '', 'Endereço IPv6 ausente');
+      return diagnostics;
+    }
+
+    // Sequências de dois-pontos
+    const colonRuns = [...text.matchAll(/:{2,}/g)];
+    colonRuns.filter(run => run[0].length > 2).forEach(run => {
+      add('TRIPLE_COLON', base + run.index, run[0].length, run[0],
+        `Sequência "${run[0]}" inválida: use no máximo "::"`, replaceAt(base + run.index, run[0].length, '::'));
+    });
+
+    if (colonRuns.length > 1) {
+      const second = colonRuns[1];
+      add('MULTIPLE_DOUBLE_COLON', base + second.index, second[0].length, second[0],
+        '"::" só pode aparecer uma vez; o número de grupos zero ficaria ambíguo',
+        replaceAt(base + second.index, second[0].length, ':0:'));
+    }
+
+    if (/^:[^:]/.test(text)) {
+      add('LEADING_COLON', base, 1, ':', 'O endereço não pode começar com um único ":"', replaceAt(base, 1, ''));
+    }
+
+    if (/[^:]:$/.test(text)) {
+      add('TRAILING_COLON', base + text.length - 1, 1, ':', 'O endereço não pode terminar com um único ":"',
+        replaceAt(base + text.length - 1, 1, ''));
+    }
+
+    // Grupos individuais
+    const tokens = [...text.matchAll(/[^:]+/g)].map(match => ({ value: match[0], offset: base + match.index }));
+    const lookalikes = { o: '0', O: '0', l: '1', I: '1' };
+
+    tokens.forEach((token, index) => {
+      const isLast = index === tokens.length - 1;
+
+      if (token.value.includes('.')) {
+        if (!isLast) {
+          add('MISPLACED_IPV4', token.offset, token.value.length, token.value,
+            'Endereço IPv4 embutido só pode aparecer nos últimos 32 bits');
+        } else if (!this.isValidIPv4(token.value)) {
+          const stripped = token.value.split('.').map(o => o.replace(/^0+(?=\d)/, '')).join('.');
+          add('INVALID_IPV4', token.offset, token.value.length, token.value,
+            `Endereço IPv4 embutido "${token.value}" inválido`,
+            this.isValidIPv4(stripped) ? replaceAt(token.offset, token.value.length, stripped) : null);
+        }
+        return;
+      }
+
+      [...token.value].forEach((char, i) => {
+        if (/[0-9a-fA-F]/.test(char)) return;
+
+        const offset = token.offset + i;
+        if (lookalikes[char]) {
+          add('LOOKALIKE_CHARACTER', offset, 1, token.value,
+            `Letra "${char}" no grupo "${token.value}"; provavelmente deveria ser o dígito ${lookalikes[char]}`,
+            replaceAt(offset, 1, lookalikes[char]));
+        } else {
+          add('INVALID_CHARACTER', offset, 1, token.value,
+            `Caractere "${char}" inválido no grupo "${token.value}": use apenas 0-9 e a-f`);
+        }
+      });
+
+      if (token.value.length > 4) {
+        const stripped = token.value.replace(/^0+(?=.)/, '');
+        add('GROUP_TOO_LONG', token.offset, token.value.length, token.value,
+          `O grupo "${token.value}" tem ${token.value.length} dígitos; o máximo é 4`,
+          this.patterns.HEX_GROUP.test(stripped) ? replaceAt(token.offset, token.value.length, stripped) : null);
+      }
+    });
+
+    // Quantidade de grupos (IPv4 embutido conta como 2)
+    const groupCount = tokens.reduce((count, token) => count + (token.value.includes('.') ? 2 : 1), 0);
+    const hasCompression = colonRuns.length > 0;
+    const lastToken = tokens[tokens.length - 1];
+
+    if (groupCount > 8) {
+      const looksLikePort = !hasCompression && tokens.length === 9 &&
+        /^\d{2,5}$/.test(lastToken.value) && parseInt(lastToken.value, 10) <= 65535;
+
+      if (looksLikePort) {
+        add('STRAY_PORT', lastToken.offset - 1, lastToken.value.length + 1, lastToken.value,
+          `O endereço tem 9 grupos; ":${lastToken.value}" parece ser uma porta`,
+          replaceAt(lastToken.offset - 1, lastToken.value.length + 1, ''));
+      } else {
+        let count = 0;
+        const extra = tokens.find(token => (count += token.value.includes('.') ? 2 : 1) > 8);
+        add('TOO_MANY_GROUPS', extra.offset, base + text.length - extra.offset, extra.value,
+          `O endereço tem ${groupCount} grupos; o máximo é 8`);
+      }
+    } else if (!hasCompression && groupCount < 8) {
+      const insertAt = lastToken && lastToken.value.includes('.') ? lastToken.offset : base + text.length;
+      const separator = insertAt === base + text.length ? '::' : ':';
+      add('TOO_FEW_GROUPS', insertAt, 0, '',
+        `O endereço tem ${groupCount} grupos; são necessários 8 ou o uso de "::"`,
+        /:$/.test(text) ? null : replaceAt(insertAt, 0, separator));
+    }
+
+    return diagnostics.sort((a, b) => a.offset - b.offset);
+  }
+
   /**
    * Verifica se o formato é válido
    */
@@ -164,7 +372,14 @@ export class IPv6Utils {
     if (!address) return false;
 
     // Verificar caracteres válidos
-    if (!/^[0-9a-fA-F:]+$/.test(address)) return false;
+    if (!/^[0-9a-fA-F:.]+$/.test(address)) return false;
+
+    // Converter sufixo IPv4 decimal em grupos hexadecimais
+    try {
+      address = this.normalizeIPv4Tail(address);
+    } catch (error) {
+      return false;
+    }
 
     // Verificar múltiplos "::"
     const doubleColonCount = (address.match(/::/g) || []).length;
@@ -173,6 +388,9 @@ export class IPv6Utils {
     // Verificar ":::" inválido
     if (address.includes(':::')) return false;
 
+    // Verificar ":" isolado no início ou no fim
+    if (/^:[^:]/.test(address) || /[^:]:$/.test(address)) return false;
+
     const hasDoubleColon = address.includes('::');
 
     if (hasDoubleColon) {
@@ -209,6 +427,62 @@ export class IPv6Utils {
     return groups.every(group => this.patterns.HEX_GROUP.test(group));
   }
 
+  /**
+   * Converte sufixo IPv4 decimal (ex.: ::ffff:192.0.2.1) em dois grupos hexadecimais
+   */
+  normalizeIPv4Tail(address) {
+    if (!address.includes('.')) return address;
+
+    const match = address.match(this.patterns.IPV4_TAIL);
+    if (!match) {
+      throw new Error('Endereço IPv4 embutido deve ocupar os últimos 32 bits');
+    }
+
+    const ipv4 = this.ipv4ToBigInt(match[2]);
+    const high = (ipv4 >> 16n).toString(16);
+    const low = (ipv4 & 0xffffn).toString(16);
+
+    return `${match[1]}${high}:${low}`;
+  }
+
+  /**
+   * Verifica se é um endereço IPv4 decimal válido
+   */
+  isValidIPv4(address) {
+    if (!address || typeof address !== 'string') return false;
+
+    const octets = address.split('.');
+    if (octets.length !== 4) return false;
+
+    return octets.every(octet =>
+      this.patterns.IPV4_OCTET.test(octet) && parseInt(octet, 10) <= 255
+    );
+  }
+
+  /**
+   * Converte IPv4 para BigInt
+   */
+  ipv4ToBigInt(address) {
+    if (!this.isValidIPv4(address)) {
+      throw new Error(`Endereço IPv4 inválido: ${address}`);
+    }
+
+    return address.split('.').reduce((acc, octet) => (acc << 8n) | BigInt(octet), 0n);
+  }
+
+  /**
+   * Converte BigInt para IPv4
+   */
+  bigIntToIPv4(bigIntValue) {
+    if (typeof bigIntValue !== 'bigint' || bigIntValue < 0n || bigIntValue > 0xffffffffn) {
+      throw new Error('Valor deve ser um BigInt de 32 bits');
+    }
+
+    return [24n, 16n, 8n, 0n]
+      .map(shift => ((bigIntValue >> shift) & 0xffn).toString())
+      .join('.');
+  }
+
   /**
    * Expande endereço IPv6
    */
@@ -226,7 +500,7 @@ export class IPv6Utils {
    * Realiza a expansão do endereço
    */
   performExpansion(address) {
-    let addr = address.replace(/^\[|\]$/g, '');
+    let addr = this.normalizeIPv4Tail(address.replace(/^\[|\]$/g, ''));
     
     if (!addr.includes('::')) {
       // Já está expandido ou formato completo
@@ -279,120 +553,258 @@ export class IPv6Utils {
       const expanded = this.expandAddress(address);
       const groups = expanded.split(':');
 
-      // Encontrar a maior sequência de zeros consecutivos
-      let bestStart = -1;
-      let bestLength = 0;
-      let currentStart = -1;
-      let currentLength = 0;
-
-      for (let i = 0; i < 8; i++) {
-        if (groups[i] === '0000') {
-          if (currentStart === -1) currentStart = i;
-          currentLength++;
-        } else {
-          if (currentLength > bestLength) {
-            bestLength = currentLength;
-            bestStart = currentStart;
-          }
-          currentStart = -1;
-          currentLength = 0;
-        }
+      // Prefixos conhecidos com IPv4 embutido usam notação mista
+      if (this.usesMixedNotation(groups)) {
+        const head = this.compressGroups(groups.slice(0, 6));
+        const ipv4 = this.bigIntToIPv4(BigInt('0x' + groups[6] + groups[7]));
+        return head.endsWith(':') ? head + ipv4 : `${head}:${ipv4}`;
       }
 
-      // Verificar sequência final
-      if (currentLength > bestLength) {
-        bestLength = currentLength;
-        bestStart = currentStart;
-      }
+      return this.compressGroups(groups);
+    } catch (error) {
+      return address; // Retornar original se falhar
+    }
+  }
 
-      // Comprimir apenas se houver pelo menos 2 zeros consecutivos
-      if (bestLength < 2) {
-        return groups.map(g => g.replace(/^0+/, '') || '0').join(':');
-      }
+  /**
+   * Indica se o endereço deve ser escrito em notação mista (RFC 5952, seção 5)
+   */
+  usesMixedNotation(groups) {
+    const head = groups.slice(0, 6).join(':').toLowerCase();
+    return this.mixedNotationPrefixes.includes(head);
+  }
+
+  /**
+   * Comprime uma sequência de grupos hexadecimais de 4 dígitos
+   */
+  compressGroups(groups) {
+    // RFC 5952 exige dígitos hexadecimais em minúsculas
+    groups = groups.map(g => g.toLowerCase());
+
+    const { start: bestStart, length: bestLength } = this.findLongestZeroRun(groups);
 
-      // Aplicar compressão
-      const before = groups.slice(0, bestStart).map(g => g.replace(/^0+/, '') || '0');
-      const after = groups.slice(bestStart + bestLength).map(g => g.replace(/^0+/, '') || '0');
+    // Comprimir apenas se houver pelo menos 2 zeros consecutivos
+    if (bestLength < 2) {
+      return groups.map(g => g.replace(/^0+/, '') || '0').join(':');
+    }
+
+    // Aplicar compressão
+    const before = groups.slice(0, bestStart).map(g => g.replace(/^0+/, '') || '0');
+    const after = groups.slice(bestStart + bestLength).map(g => g.replace(/^0+/, '') || '0');
+
+    if (before.length === 0 && after.length === 0) {
+      return '::';
+    } else if (before.length === 0) {
+      return '::' + after.join(':');
+    } else if (after.length === 0) {
+      return before.join(':') + '::';
+    } else {
+      return before.join(':') + '::' + after.join(':');
+    }
+  }
 
-      if (before.length === 0 && after.length === 0) {
-        return '::';
-      } else if (before.length === 0) {
-        return '::' + after.join(':');
-      } else if (after.length === 0) {
-        return before.join(':') + '::';
+  /**
+   * Encontra a primeira maior sequência de grupos zero consecutivos
+   */
+  findLongestZeroRun(groups) {
+    let bestStart = -1;
+    let bestLength = 0;
+    let currentStart = -1;
+    let currentLength = 0;
+
+    for (let i = 0; i < groups.length; i++) {
+      if (groups[i] === '0000') {
+        if (currentStart === -1) currentStart = i;
+        currentLength++;
       } else {
-        return before.join(':') + '::' + after.join(':');
+        if (currentLength > bestLength) {
+          bestLength = currentLength;
+          bestStart = currentStart;
+        }
+        currentStart = -1;
+        currentLength = 0;
       }
-    } catch (error) {
-      return address; // Retornar original se falhar
     }
+
+    // Verificar sequência final
+    if (currentLength > bestLength) {
+      bestLength = currentLength;
+      bestStart = currentStart;
+    }
+
+    return { start: bestStart, length: bestLength };
   }
 
   /**
-   * Determina o tipo do endereço
+   * Verifica conformidade com a forma canônica da RFC 5952, regra por regra
    */
-  getAddressType(address) {
+  lintAddress(address) {
+    let validation;
     try {
-      const expanded = this.expandAddress(address);
-      
-      // Verificar tipos específicos
-      if (expanded === '0000:0000:0000:0000:0000:0000:0000:0001') {
-        return 'Loopback';
-      }
-      
-      if (expanded === '0000:0000:0000:0000:0000:0000:0000:0000') {
-        return 'Unspecified';
-      }
-      
-      if (expanded.startsWith('fe80:')) {
-        return 'Link-Local';
-      }
-      
-      if (expanded.startsWith('ff')) {
-        return 'Multicast';
-      }
-      
-      if (expanded.startsWith('fc') || expanded.startsWith('fd')) {
-        return 'Unique Local';
-      }
-      
-      if (expanded.startsWith('2001:0db8:')) {
-        return 'Documentation';
-      }
-      
-      if (expanded.startsWith('2001:0000:')) {
-        return 'Teredo';
-      }
-      
-      if (expanded.startsWith('2002:')) {
-        return '6to4';
+      validation = this.performValidation(String(address || '').trim());
+    } catch (error) {
+      return { valid: false, error: error.message, findings: [] };
+    }
+
+    const input = validation.cleanAddress;
+    const canonical = validation.compressed;
+    const groups = validation.expanded.toLowerCase().split(':');
+    const findings = [];
+
+    // O sufixo IPv4 decimal não é avaliado como hexadecimal
+    const hasIPv4Tail = input.includes('.');
+    const hexPart = hasIPv4Tail ? input.slice(0, input.lastIndexOf(':') + 1) : input;
+    const hexGroups = hexPart.split(':').filter(g => g !== '');
+
+    const upperGroups = hexGroups.filter(g => /[A-F]/.test(g));
+    if (upperGroups.length > 0) {
+      findings.push({
+        rule: 'uppercase',
+        section: 'RFC 5952 §4.3',
+        message: 'Dígitos hexadecimais devem ser escritos em minúsculas',
+        groups: upperGroups
+      });
+    }
+
+    const paddedGroups = hexGroups.filter(g => g.length > 1 && g.startsWith('0'));
+    if (paddedGroups.length > 0) {
+      findings.push({
+        rule: 'leading-zeros',
+        section: 'RFC 5952 §4.1',
+        message: 'Zeros à esquerda devem ser omitidos em cada grupo',
+        groups: paddedGroups
+      });
+    }
+
+    // Notação mista apenas para prefixos IPv4 conhecidos
+    const mixed = this.usesMixedNotation(groups);
+    if (mixed !== hasIPv4Tail) {
+      findings.push({
+        rule: 'mixed-notation',
+        section: 'RFC 5952 §5',
+        message: mixed ?
+          'Endereços com prefixo IPv4 conhecido devem terminar em notação decimal (ex.: ::ffff:192.0.2.1)' :
+          'Notação decimal só deve ser usada com prefixos IPv4 conhecidos (::ffff:0:0/96, 64:ff9b::/96)',
+        groups: []
+      });
+    }
+
+    // Comparar o "::" usado com a maior sequência de zeros
+    const best = this.findLongestZeroRun(mixed ? groups.slice(0, 6) : groups);
+    const used = this.findCompressedRun(input);
+
+    if (!used) {
+      if (best.length >= 2) {
+        findings.push({
+          rule: 'missing-compression',
+          section: 'RFC 5952 §4.2.1',
+          message: `"::" deve substituir os ${best.length} grupos zero consecutivos`,
+          groups: []
+        });
       }
-      
-      return 'Global Unicast';
+    } else if (used.length === 1) {
+      findings.push({
+        rule: 'single-group-compression',
+        section: 'RFC 5952 §4.2.2',
+        message: '"::" não deve ser usado para um único grupo zero',
+        groups: []
+      });
+    } else if (used.length < best.length) {
+      findings.push({
+        rule: 'not-longest-run',
+        section: 'RFC 5952 §4.2.3',
+        message: `"::" deve substituir a maior sequência de zeros (${best.length} grupos), não ${used.length}`,
+        groups: []
+      });
+    } else if (used.length === best.length && used.start !== best.start) {
+      findings.push({
+        rule: 'not-first-run',
+        section: 'RFC 5952 §4.2.3',
+        message: 'Com sequências de zeros de mesmo tamanho, "::" deve substituir a primeira',
+        groups: []
+      });
+    }
+
+    const suffix = (validation.zoneId ? `%${validation.zoneId}` : '') +
+      (validation.prefix !== null ? `/${validation.prefix}` : '');
+
+    return {
+      valid: true,
+      input: input,
+      canonical: canonical,
+      corrected: canonical + suffix,
+      isCanonical: findings.length === 0,
+      findings: findings
+    };
+  }
+
+  /**
+   * Localiza os grupos substituídos por "::" no texto informado
+   */
+  findCompressedRun(address) {
+    const normalized = this.normalizeIPv4Tail(address);
+    if (!normalized.includes('::')) return null;
+
+    const [head, tail] = normalized.split('::');
+    const before = head ? head.split(':').length : 0;
+    const after = tail ? tail.split(':').length : 0;
+
+    return { start: before, length: 8 - before - after };
+  }
+
+  /**
+   * Indexa o registro IANA por rede BigInt, do prefixo mais longo ao mais curto
+   */
+  buildRegistryIndex(entries) {
+    return entries
+      .map(entry => {
+        const [network, length] = entry.prefix.split('/');
+        const prefixLength = parseInt(length, 10);
+        const mask = this.calculateNetworkMask(prefixLength);
+
+        return {
+          ...entry,
+          prefixLength,
+          mask,
+          networkBigInt: this.ipv6ToBigInt(network) & mask
+        };
+      })
+      .sort((a, b) => b.prefixLength - a.prefixLength);
+  }
+
+  /**
+   * Obtém a entrada do registro IANA que contém o endereço (prefixo mais longo)
+   */
+  getRegistryEntry(address) {
+    try {
+      const value = this.ipv6ToBigInt(address);
+      const entry = this.registry.find(item => (value & item.mask) === item.networkBigInt);
+      return entry || ReservedRegistryEntry;
     } catch (error) {
-      return 'Unknown';
+      return null;
     }
   }
 
+  /**
+   * Determina o tipo do endereço
+   */
+  getAddressType(address) {
+    const entry = this.getRegistryEntry(address);
+    return entry ? entry.type : 'Unknown';
+  }
+
   /**
    * Determina o escopo do endereço
    */
   getAddressScope(address) {
-    const type = this.getAddressType(address);
-    
-    const scopeMap = {
-      'Loopback': 'Host',
-      'Unspecified': 'None',
-      'Link-Local': 'Link',
-      'Multicast': this.getMulticastScope(address),
-      'Unique Local': 'Organization',
-      'Documentation': 'Documentation',
-      'Teredo': 'Global',
-      '6to4': 'Global',
-      'Global Unicast': 'Global'
-    };
-    
-    return scopeMap[type] || 'Unknown';
+    const entry = this.getRegistryEntry(address);
+    if (!entry) return 'Unknown';
+
+    if (entry.type === 'Multicast') {
+      return this.getMulticastScope(address);
+    }
+
+    return entry.scope || 'Unknown';
   }
 
   /**
@@ -401,20 +813,7 @@ export class IPv6Utils {
   getMulticastScope(address) {
     try {
       const expanded = this.expandAddress(address);
-      const scopeField = expanded.charAt(3);
-      
-      const scopes = {
-        '0': 'Reserved',
-        '1': 'Interface-Local',
-        '2': 'Link-Local',
-        '3': 'Reserved',
-        '4': 'Admin-Local',
-        '5': 'Site-Local',
-        '8': 'Organization-Local',
-        'e': 'Global'
-      };
-      
-      return scopes[scopeField] || 'Unknown';
+      return MulticastScopes[parseInt(expanded.charAt(3), 16)] || 'Unknown';
     } catch (error) {
       return 'Unknown';
     }
@@ -476,9 +875,11 @@ export class IPv6Utils {
 
   /**
    * Obtém informações da rede
+   * @param {Object} options - { hostBitsMode: 'lenient' | 'warn' | 'strict' }
    */
-  getNetworkInfo(cidr) {
-    const cacheKey = `networkInfo_${cidr}`;
+  getNetworkInfo(cidr, options = {}) {
+    const mode = this.resolveHostBitsMode(options);
+    const cacheKey = `networkInfo_${mode}_${cidr}`;
     const cached = this.getFromCache(cacheKey);
     if (cached !== null) return cached;
 
@@ -488,6 +889,9 @@ export class IPv6Utils {
         throw new Error('CIDR inválido');
       }
 
+      const classification = this.classifyPrefixInput(cidr);
+      const warning = this.enforceHostBits(classification, mode);
+
       const [address, prefixStr] = cidr.split('/');
       const prefix = parseInt(prefixStr, 10);
       
@@ -508,8 +912,13 @@ export class IPv6Utils {
         broadcastBigInt: broadcast,
         prefix: prefix,
         mask: mask,
+        netmask: this.formatMask(mask),
+        inverseMask: this.formatMask(~mask & this.MAX_IPV6),
         hostBits: hostBits,
         totalAddresses: totalAddresses,
+        inputKind: classification.kind,
+        hostBitsSet: classification.hostBitsSet,
+        warning: warning,
         compressed: {
           network: this.compressAddress(this.bigIntToIPv6(network)),
           broadcast: this.compressAddress(this.bigIntToIPv6(broadcast))
@@ -538,86 +947,1631 @@ export class IPv6Utils {
     }
   }
 
+  // ===== ARITMÉTICA DE PREFIXOS =====
+
   /**
-   * Analisa endereço completo
+   * Converte CIDR em { network, prefix, cidr } (endereço sem prefixo = /128)
+   * @param {Object} options - { hostBitsMode: 'lenient' | 'warn' | 'strict' }
    */
-  analyzeAddress(address) {
-    try {
-      const validation = this.validateIPv6(address);
-      if (!validation.valid) {
-        throw new Error('Endereço inválido');
-      }
+  parseCIDR(cidr, options = {}) {
+    const classification = this.classifyPrefixInput(cidr);
+    const warning = this.enforceHostBits(classification, this.resolveHostBitsMode(options));
 
-      const expanded = validation.expanded;
-      const binary = this.ipv6ToBigInt(expanded).toString(2).padStart(128, '0');
-      
-      // Informações RFC
-      const rfcInfo = this.getRFCInfo(expanded);
-      
-      return {
-        ...validation,
-        binary: binary,
-        hexGroups: expanded.split(':'),
-        rfc: rfcInfo,
-        properties: {
-          isSpecial: this.isSpecialAddress(validation.type),
-          isRoutable: this.isRoutableAddress(validation.type),
-          isPrivate: this.isPrivateAddress(validation.type)
-        },
-        recommendations: this.generateRecommendations(validation)
-      };
-    } catch (error) {
-      throw new Error(`Erro na análise: ${error.message}`);
-    }
+    return {
+      network: classification.networkValue,
+      prefix: classification.prefix,
+      cidr: classification.network,
+      hostBitsSet: classification.hostBitsSet,
+      warning: warning
+    };
   }
 
+  // ===== MÁSCARAS =====
+
   /**
-   * Obtém informações RFC para o endereço
+   * Formata máscara BigInt em notação IPv6 comprimida (sem notação mista IPv4)
    */
-  getRFCInfo(expandedAddress) {
-    for (const [block, info] of this.rfcAllocations) {
-      const [blockAddr, blockPrefix] = block.split('/');
-      const blockPrefixNum = parseInt(blockPrefix, 10);
-      
-      if (this.isInNetwork(expandedAddress, blockAddr, blockPrefixNum)) {
-        return {
-          ...info,
-          allocatedBlock: block,
-          compliance: 'Compliant'
-        };
-      }
+  formatMask(mask) {
+    return this.compressGroups(this.bigIntToIPv6(mask).split(':'));
+  }
+
+  /**
+   * Comprimento de prefixo de uma máscara (null se não contígua)
+   */
+  getMaskPrefixLength(mask) {
+    const inverse = ~mask & this.MAX_IPV6;
+    if ((inverse & (inverse + 1n)) !== 0n) {
+      return null;
     }
-    return null;
+
+    return inverse === 0n ? 128 : 128 - inverse.toString(2).length;
   }
 
   /**
-   * Verifica se é endereço especial
+   * Interpreta "endereço máscara", "endereço/máscara" ou "endereço/comprimento"
+   * @param {string} type - 'netmask' (bits 1 = comparados) ou 'wildcard' (bits 1 = ignorados)
    */
-  isSpecialAddress(type) {
-    const specialTypes = ['Loopback', 'Unspecified', 'Documentation', 'Teredo', '6to4'];
-    return specialTypes.includes(type);
+  parseMaskedInput(input, type = 'netmask') {
+    const text = (input || '').trim();
+    const parts = text.includes('/') ? text.split('/') : text.split(/\s+/);
+
+    if (parts.length !== 2 || !parts[1].trim()) {
+      throw new Error('Informe endereço e máscara (ex.: 2001:db8::1 ffff:ffff:ffff:ffff::)');
+    }
+
+    const [addressPart, maskPart] = parts.map(part => part.trim());
+    const address = this.validateIPv6(addressPart);
+    if (!address.valid || address.prefix !== null) {
+      throw new Error(`Endereço inválido: ${addressPart}`);
+    }
+
+    let mask;
+    if (/^\d{1,3}$/.test(maskPart)) {
+      mask = this.calculateNetworkMask(parseInt(maskPart, 10));
+    } else {
+      const maskValidation = this.validateIPv6(maskPart);
+      if (!maskValidation.valid || maskValidation.prefix !== null) {
+        throw new Error(`Máscara inválida: ${maskPart}`);
+      }
+
+      const value = this.ipv6ToBigInt(maskValidation.expanded);
+      mask = type === 'wildcard' ? ~value & this.MAX_IPV6 : value;
+    }
+
+    return this.describeMask(this.ipv6ToBigInt(address.expanded), mask);
   }
 
   /**
-   * Verifica se é endereço roteável
+   * Descreve o conjunto de endereços casados por endereço + máscara (contígua ou não)
    */
-  isRoutableAddress(type) {
-    const nonRoutableTypes = ['Loopback', 'Unspecified', 'Link-Local', 'Documentation'];
-    return !nonRoutableTypes.includes(type);
+  describeMask(address, mask, sampleLimit = 8) {
+    const base = address & mask;
+    const inverse = ~mask & this.MAX_IPV6;
+    const prefix = this.getMaskPrefixLength(mask);
+    const wildcardBits = inverse.toString(2).split('1').length - 1;
+
+    return {
+      address: this.compressAddress(this.bigIntToIPv6(address)),
+      base: this.compressAddress(this.bigIntToIPv6(base)),
+      netmask: this.formatMask(mask),
+      inverseMask: this.formatMask(inverse),
+      contiguous: prefix !== null,
+      prefix: prefix,
+      cidr: prefix !== null ? this.formatCIDR(base, prefix) : null,
+      hostBitsSet: address !== base,
+      wildcardBits: wildcardBits,
+      matchCount: (1n << BigInt(wildcardBits)).toString(),
+      first: this.compressAddress(this.bigIntToIPv6(base)),
+      last: this.compressAddress(this.bigIntToIPv6(base | inverse)),
+      pattern: this.getMaskPattern(base, mask),
+      samples: this.enumerateMaskMatches(base, mask, sampleLimit)
+    };
   }
 
   /**
-   * Verifica se é endereço privado
+   * Padrão por nibble: hex fixo, "x" totalmente livre, "?" parcialmente livre
    */
-  isPrivateAddress(type) {
-    const privateTypes = ['Link-Local', 'Unique Local'];
-    return privateTypes.includes(type);
+  getMaskPattern(base, mask) {
+    const baseHex = base.toString(16).padStart(32, '0');
+    const maskHex = mask.toString(16).padStart(32, '0');
+    let pattern = '';
+
+    for (let i = 0; i < 32; i++) {
+      if (maskHex[i] === 'f') {
+        pattern += baseHex[i];
+      } else {
+        pattern += maskHex[i] === '0' ? 'x' : '?';
+      }
+      if (i % 4 === 3 && i < 31) pattern += ':';
+    }
+
+    return pattern;
   }
 
   /**
-   * Gera recomendações para o endereço
+   * Primeiros endereços casados, distribuindo um contador pelos bits livres
    */
-  generateRecommendations(validation) {
+  enumerateMaskMatches(base, mask, limit = 8) {
+    const freeBits = [];
+    for (let bit = 0n; bit < 128n; bit++) {
+      if (((mask >> bit) & 1n) === 0n) {
+        freeBits.push(bit);
+      }
+    }
+
+    const total = 1n << BigInt(freeBits.length);
+    const count = total < BigInt(limit) ? Number(total) : limit;
+    const matches = [];
+
+    for (let n = 0n; n < BigInt(count); n++) {
+      let value = base;
+      freeBits.forEach((bit, index) => {
+        if ((n >> BigInt(index)) & 1n) {
+          value |= 1n << bit;
+        }
+      });
+      matches.push(this.compressAddress(this.bigIntToIPv6(value)));
+    }
+
+    return matches;
+  }
+
+  /**
+   * Verifica se o endereço casa com base + máscara (bits 1 da máscara são comparados)
+   */
+  matchesMask(address, base, mask) {
+    const maskValue = typeof mask === 'bigint' ? mask : this.ipv6ToBigInt(mask);
+    const baseValue = typeof base === 'bigint' ? base : this.ipv6ToBigInt(base);
+
+    return (this.ipv6ToBigInt(address) & maskValue) === (baseValue & maskValue);
+  }
+
+  // ===== BITS DE HOST =====
+
+  /**
+   * Define o modo padrão de tratamento de bits de host
+   */
+  setHostBitsMode(mode) {
+    if (!this.HOST_BITS_MODES.includes(mode)) {
+      throw new Error(`Modo de bits de host inválido: ${mode}`);
+    }
+
+    this.hostBitsMode = mode;
+    this.clearCache();
+  }
+
+  /**
+   * Modo efetivo: o da chamada ou o padrão configurado
+   */
+  resolveHostBitsMode(options = {}) {
+    return this.HOST_BITS_MODES.includes(options.hostBitsMode) ? options.hostBitsMode : this.hostBitsMode;
+  }
+
+  /**
+   * Classifica a entrada como prefixo de rede, endereço de interface ou endereço
+   */
+  classifyPrefixInput(cidr) {
+    const validation = this.validateIPv6(cidr || '');
+    if (!validation.valid) {
+      throw new Error(validation.error || 'CIDR inválido');
+    }
+
+    const value = this.ipv6ToBigInt(validation.expanded);
+    const prefix = validation.prefix === null ? 128 : validation.prefix;
+    const networkValue = value & this.calculateNetworkMask(prefix);
+    const hostBitsSet = value !== networkValue;
+
+    let kind = 'network';
+    if (validation.prefix === null) {
+      kind = 'address';
+    } else if (hostBitsSet) {
+      kind = 'interface';
+    }
+
+    return {
+      input: cidr,
+      kind: kind,
+      address: this.compressAddress(validation.expanded),
+      prefix: prefix,
+      networkValue: networkValue,
+      network: this.formatCIDR(networkValue, prefix),
+      hostBitsSet: hostBitsSet
+    };
+  }
+
+  /**
+   * Aplica o modo de bits de host: retorna aviso (warn) ou lança erro (strict)
+   */
+  enforceHostBits(classification, mode) {
+    if (!classification.hostBitsSet || mode === 'lenient') {
+      return null;
+    }
+
+    const message = `${classification.address}/${classification.prefix} é um endereço de interface (bits de host definidos); a rede é ${classification.network}`;
+    if (mode === 'strict') {
+      throw new Error(message);
+    }
+
+    return message;
+  }
+
+  /**
+   * Formata rede BigInt + comprimento em CIDR comprimido
+   */
+  formatCIDR(network, prefix) {
+    return `${this.compressAddress(this.bigIntToIPv6(network))}/${prefix}`;
+  }
+
+  /**
+   * Tamanho de um bloco de comprimento L (em endereços)
+   */
+  getBlockSize(prefixLength) {
+    return 1n << BigInt(128 - prefixLength);
+  }
+
+  /**
+   * Supernet que contém o prefixo, no comprimento indicado
+   */
+  getSupernet(cidr, length) {
+    const { network, prefix } = this.parseCIDR(cidr);
+    const target = length === undefined ? prefix - 1 : parseInt(length, 10);
+
+    if (!Number.isInteger(target) || target < 0 || target > prefix) {
+      throw new Error(`Comprimento da supernet deve estar entre /0 e /${prefix}`);
+    }
+
+    return this.formatCIDR(network & this.calculateNetworkMask(target), target);
+  }
+
+  /**
+   * Prefixo irmão ("buddy"): difere apenas no último bit do prefixo
+   */
+  getSiblingPrefix(cidr) {
+    const { network, prefix } = this.parseCIDR(cidr);
+    if (prefix === 0) {
+      throw new Error('O prefixo ::/0 não possui irmão');
+    }
+
+    return this.formatCIDR(network ^ this.getBlockSize(prefix), prefix);
+  }
+
+  /**
+   * Próximo prefixo de mesmo comprimento (null se ultrapassar o espaço IPv6)
+   */
+  getNextPrefix(cidr, steps = 1) {
+    const { network, prefix } = this.parseCIDR(cidr);
+    const next = network + BigInt(steps) * this.getBlockSize(prefix);
+
+    return next < 0n || next > this.MAX_IPV6 ? null : this.formatCIDR(next, prefix);
+  }
+
+  /**
+   * Prefixo anterior de mesmo comprimento (null se antes de ::)
+   */
+  getPreviousPrefix(cidr, steps = 1) {
+    return this.getNextPrefix(cidr, -BigInt(steps));
+  }
+
+  /**
+   * N-ésima sub-rede (a partir de 0) de comprimento L dentro do bloco pai
+   */
+  getNthSubnet(parentCidr, length, n) {
+    const parent = this.parseCIDR(parentCidr);
+    const count = this.countSubnets(parentCidr, length);
+    const index = BigInt(n);
+
+    if (index < 0n || index >= count) {
+      throw new Error(`Índice ${index} fora do intervalo (0 a ${count - 1n})`);
+    }
+
+    const target = parseInt(length, 10);
+    return this.formatCIDR(parent.network + index * this.getBlockSize(target), target);
+  }
+
+  /**
+   * Posição (a partir de 0) de uma sub-rede dentro do bloco pai
+   */
+  getSubnetIndex(parentCidr, subnetCidr) {
+    const parent = this.parseCIDR(parentCidr);
+    const subnet = this.parseCIDR(subnetCidr);
+
+    if (subnet.prefix < parent.prefix) {
+      throw new Error(`Sub-rede /${subnet.prefix} é maior que o bloco pai /${parent.prefix}`);
+    }
+
+    if ((subnet.network & this.calculateNetworkMask(parent.prefix)) !== parent.network) {
+      throw new Error(`${subnet.cidr} não está contida em ${parent.cidr}`);
+    }
+
+    return (subnet.network - parent.network) >> BigInt(128 - subnet.prefix);
+  }
+
+  /**
+   * Quantidade de sub-redes de comprimento L dentro do bloco pai
+   */
+  countSubnets(parentCidr, length) {
+    const parent = this.parseCIDR(parentCidr);
+    const target = parseInt(length, 10);
+
+    if (!Number.isInteger(target) || target < parent.prefix || target > 128) {
+      throw new Error(`Comprimento da sub-rede deve estar entre /${parent.prefix} e /128`);
+    }
+
+    return 1n << BigInt(target - parent.prefix);
+  }
+
+  // ===== ARITMÉTICA DE ENDEREÇOS =====
+
+  /**
+   * Soma deslocamento (BigInt, número ou texto decimal/0x) a um endereço
+   * Lança erro se o resultado passar de ffff:...:ffff ou ficar abaixo de ::
+   */
+  addToAddress(address, offset) {
+    const base = this.parseAddressOperand(address);
+    const delta = this.parseOffsetValue(offset);
+    const value = base.value + delta;
+
+    if (value > this.MAX_IPV6) {
+      throw new Error(`Estouro: ${base.address} + ${delta} ultrapassa ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff`);
+    }
+
+    if (value < 0n) {
+      throw new Error(`Estouro: ${base.address} - ${-delta} fica abaixo de ::`);
+    }
+
+    // Com prefixo (ex.: pool 2001:db8::/64 + 500), avisa quando o resultado sai do bloco
+    const mask = base.prefix === null ? null : this.calculateNetworkMask(base.prefix);
+    const expanded = this.bigIntToIPv6(value);
+
+    return {
+      address: this.compressAddress(expanded),
+      expanded: expanded,
+      value: value,
+      base: base.address,
+      offset: delta,
+      prefix: base.prefix,
+      outsidePrefix: mask !== null && (value & mask) !== (base.value & mask)
+    };
+  }
+
+  /**
+   * Subtrai deslocamento de um endereço
+   */
+  subtractFromAddress(address, offset) {
+    return this.addToAddress(address, -this.parseOffsetValue(offset));
+  }
+
+  /**
+   * Distância com sinal de "from" até "to" (to - from)
+   */
+  getAddressDistance(from, to) {
+    return this.parseAddressOperand(to).value - this.parseAddressOperand(from).value;
+  }
+
+  /**
+   * Comprimento do maior prefixo comum a dois endereços (0 a 128)
+   */
+  getCommonPrefixLength(a, b) {
+    const diff = this.parseAddressOperand(a).value ^ this.parseAddressOperand(b).value;
+    return diff === 0n ? 128 : 128 - diff.toString(2).length;
+  }
+
+  /**
+   * Avalia "endereço + N", "endereço - N", "a - b" ou "common(a, b)"
+   */
+  evaluateAddressExpression(expression) {
+    const text = (expression || '').trim();
+
+    const common = text.match(/^common\s*\(\s*([^,]+?)\s*,\s*([^)]+?)\s*\)$/i);
+    if (common) {
+      const length = this.getCommonPrefixLength(common[1], common[2]);
+      const network = this.parseAddressOperand(common[1]).value & this.calculateNetworkMask(length);
+      return { type: 'common', expression: text, length: length, prefix: this.formatCIDR(network, length) };
+    }
+
+    const match = text.match(/^(.+?)\s*([+-])\s*(.+)$/);
+    if (!match) {
+      throw new Error('Expressão inválida. Use "endereço + N", "endereço - N", "a - b" ou "common(a, b)"');
+    }
+
+    const [, left, operator, right] = match;
+
+    if (this.isOffsetLiteral(right)) {
+      const result = operator === '+' ? this.addToAddress(left, right) : this.subtractFromAddress(left, right);
+      return { type: 'address', expression: text, ...result };
+    }
+
+    if (operator === '+') {
+      if (this.validateIPv6(right.trim()).valid) {
+        throw new Error('Soma de dois endereços não é definida; use "a - b" para a distância');
+      }
+      this.parseOffsetValue(right);
+    }
+
+    return {
+      type: 'distance',
+      expression: text,
+      from: this.parseAddressOperand(right).address,
+      to: this.parseAddressOperand(left).address,
+      distance: this.getAddressDistance(right, left)
+    };
+  }
+
+  /**
+   * Valida operando (endereço, com prefixo opcional) e retorna seu valor
+   */
+  parseAddressOperand(input) {
+    const validation = this.validateIPv6(String(input).trim());
+    if (!validation.valid) {
+      throw new Error(`Endereço inválido: ${input}`);
+    }
+
+    return {
+      address: this.compressAddress(validation.expanded),
+      value: this.ipv6ToBigInt(validation.expanded),
+      prefix: validation.prefix
+    };
+  }
+
+  /**
+   * Verifica se o texto é um deslocamento decimal ou hexadecimal (0x...)
+   */
+  isOffsetLiteral(text) {
+    return /^[+-]?(0x[0-9a-f]+|\d+)$/i.test(String(text).trim());
+  }
+
+  /**
+   * Converte deslocamento em BigInt (aceita sinal e prefixo 0x)
+   */
+  parseOffsetValue(offset) {
+    if (typeof offset === 'bigint') return offset;
+
+    if (typeof offset === 'number') {
+      if (!Number.isSafeInteger(offset)) {
+        throw new Error(`Deslocamento deve ser inteiro: ${offset}`);
+      }
+      return BigInt(offset);
+    }
+
+    const text = String(offset ?? '').trim();
+    if (!this.isOffsetLiteral(text)) {
+      throw new Error(`Deslocamento inválido: ${text}`);
+    }
+
+    const negative = text.startsWith('-');
+    const value = BigInt(text.replace(/^[+-]/, ''));
+    return negative ? -value : value;
+  }
+
+  // ===== INTERVALOS DE ENDEREÇOS =====
+
+  /**
+   * Verifica se a entrada é um intervalo "início - fim"
+   */
+  isRange(input) {
+    return typeof input === 'string' && this.splitRange(input.trim()) !== null;
+  }
+
+  /**
+   * Separa início e fim do intervalo; sem espaços ao redor do hífen, ambos os
+   * lados precisam ser endereços válidos (zone IDs como fe80::1%br-lan têm hífen)
+   */
+  splitRange(text) {
+    const spaced = text.split(/\s+[-–—]\s+/);
+    if (spaced.length > 1) {
+      return spaced.length === 2 ? spaced : null;
+    }
+
+    const isAddress = part => {
+      const validation = this.validateIPv6(part);
+      return validation.valid && validation.prefix === null;
+    };
+
+    for (const match of text.matchAll(/[-–—]/g)) {
+      const start = text.slice(0, match.index).trim();
+      const end = text.slice(match.index + 1).trim();
+      if (isAddress(start) && isAddress(end)) {
+        return [start, end];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Converte intervalo "início - fim" (inclusivo) em valores BigInt
+   */
+  parseRange(range) {
+    const text = (range || '').trim();
+    const parts = this.splitRange(text) || text.split(/[-–—]/).map(part => part.trim());
+    if (parts.length !== 2) {
+      throw new Error('Intervalo deve ter o formato "início - fim"');
+    }
+
+    const [startAddress, endAddress] = parts.map((part, index) => {
+      const validation = this.validateIPv6(part);
+      if (!validation.valid || validation.prefix !== null) {
+        throw new Error(`Endereço ${index === 0 ? 'inicial' : 'final'} inválido: ${part}`);
+      }
+      return validation.expanded;
+    });
+
+    const start = this.ipv6ToBigInt(startAddress);
+    const end = this.ipv6ToBigInt(endAddress);
+    if (end < start) {
+      throw new Error('Endereço final é menor que o inicial');
+    }
+
+    return {
+      start: start,
+      end: end,
+      size: end - start + 1n,
+      startAddress: this.compressAddress(startAddress),
+      endAddress: this.compressAddress(endAddress)
+    };
+  }
+
+  /**
+   * Decompõe intervalo inclusivo na lista mínima de prefixos CIDR
+   */
+  rangeToCIDRs(range) {
+    const { start, end } = this.parseRange(range);
+    return this.rangeValuesToCIDRs(start, end);
+  }
+
+  /**
+   * Decompõe intervalo [start, end] (BigInt) em prefixos CIDR
+   */
+  rangeValuesToCIDRs(start, end) {
+    const cidrs = [];
+    let current = start;
+
+    while (current <= end) {
+      // Maior bloco alinhado em current que não ultrapassa end
+      let hostBits = 0;
+      while (hostBits < 128 &&
+        (current & ((1n << BigInt(hostBits + 1)) - 1n)) === 0n &&
+        current + (1n << BigInt(hostBits + 1)) - 1n <= end) {
+        hostBits++;
+      }
+
+      cidrs.push(this.formatCIDR(current, 128 - hostBits));
+      current += 1n << BigInt(hostBits);
+    }
+
+    return cidrs;
+  }
+
+  /**
+   * Converte lista de prefixos em intervalos contíguos
+   */
+  cidrsToRanges(prefixes) {
+    const blocks = prefixes
+      .map(prefix => {
+        const { network, prefix: length } = this.parseCIDR(prefix.trim());
+        return { start: network, end: network + this.getBlockSize(length) - 1n };
+      })
+      .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+    const ranges = [];
+    blocks.forEach(block => {
+      const last = ranges[ranges.length - 1];
+      if (last && block.start <= last.end + 1n) {
+        if (block.end > last.end) last.end = block.end;
+      } else {
+        ranges.push({ ...block });
+      }
+    });
+
+    return ranges.map(range => ({
+      start: this.compressAddress(this.bigIntToIPv6(range.start)),
+      end: this.compressAddress(this.bigIntToIPv6(range.end)),
+      size: (range.end - range.start + 1n).toString()
+    }));
+  }
+
+  // ===== DNS REVERSO (ip6.arpa) =====
+
+  /**
+   * Converte endereço para o nome PTR em ip6.arpa (nibbles invertidos)
+   */
+  toReverseName(address) {
+    const validation = this.validateIPv6(address);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    return this.nibblesToReverseName(validation.expanded.replace(/:/g, ''));
+  }
+
+  /**
+   * Converte prefixo para a(s) zona(s) reversa(s) que o cobrem
+   * Prefixos fora do limite de nibble são expandidos para o próximo múltiplo de 4
+   */
+  toReverseZones(cidr) {
+    const validation = this.validateIPv6(cidr);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    if (validation.prefix === null) {
+      throw new Error('Informe um prefixo em notação CIDR (ex.: 2001:db8::/48)');
+    }
+
+    const prefix = validation.prefix;
+    const network = this.ipv6ToBigInt(validation.expanded) & this.calculateNetworkMask(prefix);
+    const zoneNibbles = Math.ceil(prefix / 4);
+    const zonePrefix = zoneNibbles * 4;
+    const zoneCount = 1 << (zonePrefix - prefix);
+    const zones = [];
+
+    for (let i = 0; i < zoneCount; i++) {
+      const zoneNetwork = network + (BigInt(i) << BigInt(128 - zonePrefix));
+      const hex = zoneNetwork.toString(16).padStart(32, '0').slice(0, zoneNibbles);
+      zones.push(this.nibblesToReverseName(hex));
+    }
+
+    return {
+      network: `${this.compressAddress(this.bigIntToIPv6(network))}/${prefix}`,
+      prefix: prefix,
+      zonePrefix: zonePrefix,
+      aligned: zonePrefix === prefix,
+      zones: zones
+    };
+  }
+
+  /**
+   * Interpreta um nome ip6.arpa e devolve o endereço ou prefixo correspondente
+   */
+  parseReverseName(name) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Nome reverso deve ser uma string não vazia');
+    }
+
+    const normalized = name.trim().toLowerCase().replace(/\.$/, '');
+    if (normalized !== 'ip6.arpa' && !normalized.endsWith('.ip6.arpa')) {
+      throw new Error('Nome reverso deve terminar em ip6.arpa');
+    }
+
+    const labels = normalized === 'ip6.arpa' ? [] : normalized.slice(0, -'.ip6.arpa'.length).split('.');
+    const invalid = labels.find(label => !/^[0-9a-f]$/.test(label));
+    if (invalid !== undefined) {
+      throw new Error(`Rótulo inválido "${invalid}": cada rótulo deve ser um único dígito hexadecimal`);
+    }
+
+    if (labels.length > 32) {
+      throw new Error(`Nome reverso com ${labels.length} nibbles (máximo 32)`);
+    }
+
+    const hex = labels.reverse().join('').padEnd(32, '0');
+    const expanded = hex.match(/.{4}/g).join(':');
+    const compressed = this.compressAddress(expanded);
+    const prefix = labels.length * 4;
+
+    return {
+      kind: prefix === 128 ? 'address' : 'prefix',
+      expanded: expanded,
+      compressed: compressed,
+      prefix: prefix,
+      cidr: `${compressed}/${prefix}`
+    };
+  }
+
+  /**
+   * Monta nome ip6.arpa a partir de uma sequência de nibbles (ordem normal)
+   */
+  nibblesToReverseName(hex) {
+    return [...hex.toLowerCase()].reverse().concat('ip6.arpa').join('.');
+  }
+
+  // ===== EUI-64 MODIFICADO (RFC 4291, Apêndice A) =====
+
+  /**
+   * Converte MAC (48 bits) ou EUI-64 em lista de bytes
+   * Aceita separadores ":", "-", "." (formato Cisco) ou nenhum
+   */
+  parseMAC(mac) {
+    if (!mac || typeof mac !== 'string') {
+      throw new Error('MAC deve ser uma string não vazia');
+    }
+
+    const hex = mac.trim().replace(/[:.\-\s]/g, '');
+    if (!/^[0-9a-fA-F]+$/.test(hex) || (hex.length !== 12 && hex.length !== 16)) {
+      throw new Error(`MAC inválido: ${mac}. Use 48 bits (aa:bb:cc:dd:ee:ff) ou EUI-64 (8 bytes)`);
+    }
+
+    return hex.match(/.{2}/g).map(byte => parseInt(byte, 16));
+  }
+
+  /**
+   * Formata lista de bytes como MAC (aa:bb:cc:dd:ee:ff)
+   */
+  formatMAC(bytes) {
+    return bytes.map(byte => byte.toString(16).padStart(2, '0')).join(':');
+  }
+
+  /**
+   * Gera o identificador de interface EUI-64 modificado (64 bits) a partir do MAC
+   */
+  macToInterfaceId(mac) {
+    const bytes = this.parseMAC(mac);
+    const eui64 = bytes.length === 6 ?
+      [...bytes.slice(0, 3), 0xff, 0xfe, ...bytes.slice(3)] :
+      bytes;
+
+    // Inverter o bit U/L (universal/local)
+    eui64[0] ^= 0x02;
+
+    return eui64.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+  }
+
+  /**
+   * Gera endereço SLAAC (prefixo /64 + IID EUI-64 modificado)
+   */
+  generateEUI64Address(prefix, mac) {
+    const cidr = prefix.includes('/') ? prefix : `${prefix}/64`;
+    const validation = this.validateIPv6(cidr);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    if (validation.prefix > 64) {
+      throw new Error(`Prefixo /${validation.prefix} não comporta IID de 64 bits (máximo /64)`);
+    }
+
+    const network = this.ipv6ToBigInt(validation.expanded) & this.calculateNetworkMask(validation.prefix);
+    const interfaceId = this.macToInterfaceId(mac);
+    const expanded = this.bigIntToIPv6(network | interfaceId);
+
+    return {
+      address: this.compressAddress(expanded),
+      expanded: expanded,
+      prefix: validation.prefix,
+      interfaceId: expanded.split(':').slice(4).join(':'),
+      mac: this.formatMAC(this.parseMAC(mac))
+    };
+  }
+
+  /**
+   * Detecta IID EUI-64 modificado (ff:fe no meio) e recupera o MAC de origem
+   * Retorna null quando o IID não é derivado de MAC
+   */
+  extractMACFromEUI64(address) {
+    try {
+      const iid = this.ipv6ToBigInt(address) & 0xffffffffffffffffn;
+      const bytes = iid.toString(16).padStart(16, '0').match(/.{2}/g).map(byte => parseInt(byte, 16));
+
+      if (bytes[3] !== 0xff || bytes[4] !== 0xfe) {
+        return null;
+      }
+
+      // Desfazer a inversão do bit U/L
+      bytes[0] ^= 0x02;
+      const macBytes = [...bytes.slice(0, 3), ...bytes.slice(5)];
+
+      return {
+        mac: this.formatMAC(macBytes),
+        universal: (macBytes[0] & 0x02) === 0,
+        multicast: (macBytes[0] & 0x01) === 1,
+        oui: this.formatMAC(macBytes.slice(0, 3))
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ===== MULTICAST (RFC 4291, RFC 3306, RFC 3956) =====
+
+  /**
+   * Decodifica endereço multicast: flags R/P/T, escopo, grupo e prefixos embutidos
+   * Retorna null quando o endereço não é multicast
+   */
+  analyzeMulticast(address) {
+    let value;
+    try {
+      value = this.ipv6ToBigInt(address);
+    } catch (error) {
+      return null;
+    }
+
+    if ((value >> 120n) !== 0xffn) {
+      return null;
+    }
+
+    const flagBits = Number((value >> 116n) & 0xfn);
+    const scopeValue = Number((value >> 112n) & 0xfn);
+    const expanded = this.bigIntToIPv6(value);
+    const flags = {
+      value: flagBits,
+      reserved: (flagBits & 0x8) !== 0,
+      rendezvous: (flagBits & 0x4) !== 0,
+      prefix: (flagBits & 0x2) !== 0,
+      transient: (flagBits & 0x1) !== 0
+    };
+
+    const result = {
+      address: this.compressAddress(expanded),
+      flags: flags,
+      scope: {
+        value: scopeValue,
+        hex: scopeValue.toString(16),
+        name: MulticastScopes[scopeValue]
+      },
+      groupId: (value & ((1n << 112n) - 1n)).toString(16),
+      kind: 'permanent',
+      wellKnown: this.findWellKnownMulticast(expanded),
+      unicastPrefix: null,
+      embeddedRP: null,
+      issues: []
+    };
+
+    if (flags.reserved) {
+      result.issues.push('Bit de flag reservado (0x8) deve ser zero');
+    }
+
+    if (scopeValue === 0x0 || scopeValue === 0xf) {
+      result.issues.push(`Escopo ${result.scope.hex} é reservado`);
+    }
+
+    if (flags.rendezvous) {
+      result.kind = 'embedded-rp';
+      if (!flags.prefix || !flags.transient) {
+        result.issues.push('Flag R exige P=1 e T=1 (RFC 3956)');
+      }
+      result.embeddedRP = this.decodeEmbeddedRP(value, result.issues);
+    } else if (flags.prefix) {
+      if (!flags.transient) {
+        result.issues.push('Flag P exige T=1 (RFC 3306)');
+      }
+      result.unicastPrefix = this.decodeUnicastPrefixMulticast(value, result.issues);
+      result.kind = result.unicastPrefix.plen === 0 ? 'ssm' : 'unicast-prefix';
+    } else if (flags.transient) {
+      result.kind = 'transient';
+    }
+
+    return result;
+  }
+
+  /**
+   * Procura o grupo no registro de grupos bem conhecidos
+   */
+  findWellKnownMulticast(expanded) {
+    const scope = expanded.charAt(3);
+
+    for (const entry of MulticastGroupRegistry) {
+      const group = entry.group.replace('X', scope);
+      if (this.expandAddress(group) === expanded.toLowerCase()) {
+        return { name: entry.name, rfc: entry.rfc, group: entry.group };
+      }
+    }
+
+    // Solicited-node (ff02::1:ff00:0/104)
+    if (this.isInNetwork(expanded, 'ff02::1:ff00:0', 104)) {
+      return { name: 'Solicited-Node', rfc: 'RFC 4291', group: 'ff02::1:ff00:0/104' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Decodifica grupo baseado em prefixo unicast (RFC 3306)
+   * Formato: ff3S:RRPL:<prefixo 64 bits>:<group ID 32 bits>
+   */
+  decodeUnicastPrefixMulticast(value, issues = []) {
+    const reserved = Number((value >> 104n) & 0xffn);
+    const plen = Number((value >> 96n) & 0xffn);
+    const prefixBits = (value >> 32n) & 0xffffffffffffffffn;
+
+    if (reserved !== 0) {
+      issues.push('Campo reservado do grupo RFC 3306 deve ser zero');
+    }
+
+    return {
+      plen: plen,
+      prefix: this.decodeEmbeddedPrefix(prefixBits, plen, issues).prefix,
+      groupId: (value & 0xffffffffn).toString(16)
+    };
+  }
+
+  /**
+   * Decodifica grupo com RP embutido (RFC 3956)
+   * Formato: ff7S:0IPL:<prefixo 64 bits>:<group ID 32 bits> (I = RIID)
+   */
+  decodeEmbeddedRP(value, issues = []) {
+    const reserved = Number((value >> 108n) & 0xfn);
+    const riid = Number((value >> 104n) & 0xfn);
+    const plen = Number((value >> 96n) & 0xffn);
+    const prefixBits = (value >> 32n) & 0xffffffffffffffffn;
+
+    if (reserved !== 0) {
+      issues.push('Campo reservado do grupo RFC 3956 deve ser zero');
+    }
+
+    if (plen === 0) {
+      issues.push('plen igual a zero não é permitido com RP embutido');
+    }
+
+    const decoded = this.decodeEmbeddedPrefix(prefixBits, plen, issues);
+    const rp = decoded.valid ? this.bigIntToIPv6(decoded.networkBigInt | BigInt(riid)) : null;
+
+    return {
+      plen: plen,
+      riid: riid,
+      prefix: decoded.prefix,
+      rp: rp ? this.compressAddress(rp) : null,
+      groupId: (value & 0xffffffffn).toString(16)
+    };
+  }
+
+  /**
+   * Reconstrói o prefixo unicast carregado nos 64 bits centrais do grupo
+   */
+  decodeEmbeddedPrefix(prefixBits, plen, issues) {
+    if (plen > 64) {
+      issues.push(`plen /${plen} excede 64 bits`);
+      return { prefix: null, networkBigInt: null, valid: false };
+    }
+
+    const networkBigInt = (prefixBits << 64n) & this.calculateNetworkMask(plen);
+    if (networkBigInt !== prefixBits << 64n) {
+      issues.push(`Bits do prefixo além de /${plen} devem ser zero`);
+    }
+
+    return {
+      prefix: `${this.compressAddress(this.bigIntToIPv6(networkBigInt))}/${plen}`,
+      networkBigInt: networkBigInt,
+      valid: true
+    };
+  }
+
+  /**
+   * Gera grupo multicast baseado em prefixo unicast (RFC 3306)
+   */
+  generateUnicastPrefixMulticast(prefix, groupId, scope = 0xe) {
+    const validation = this.validateIPv6(prefix);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const plen = validation.prefix === null ? 64 : validation.prefix;
+    if (plen > 64) {
+      throw new Error(`Prefixo /${plen} excede 64 bits (RFC 3306)`);
+    }
+
+    const network = this.ipv6ToBigInt(validation.expanded) & this.calculateNetworkMask(plen);
+    const value = (0xff3n << 116n) |
+      (BigInt(this.parseMulticastScope(scope)) << 112n) |
+      (BigInt(plen) << 96n) |
+      ((network >> 64n) << 32n) |
+      this.parseMulticastGroupId(groupId);
+
+    return this.compressAddress(this.bigIntToIPv6(value));
+  }
+
+  /**
+   * Gera grupo multicast com endereço de RP embutido (RFC 3956)
+   */
+  generateEmbeddedRPMulticast(rpAddress, plen, groupId, scope = 0xe) {
+    const validation = this.validateIPv6(rpAddress);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    if (!Number.isInteger(plen) || plen < 1 || plen > 64) {
+      throw new Error('plen do RP embutido deve estar entre 1 e 64');
+    }
+
+    const rp = this.ipv6ToBigInt(validation.expanded);
+    const network = rp & this.calculateNetworkMask(plen);
+    const riid = rp & 0xfn;
+
+    if ((rp ^ network) !== riid) {
+      throw new Error(`RP ${validation.compressed} não pode ser embutido: bits entre /${plen} e o RIID devem ser zero`);
+    }
+
+    const value = (0xff7n << 116n) |
+      (BigInt(this.parseMulticastScope(scope)) << 112n) |
+      (riid << 104n) |
+      (BigInt(plen) << 96n) |
+      ((network >> 64n) << 32n) |
+      this.parseMulticastGroupId(groupId);
+
+    return this.compressAddress(this.bigIntToIPv6(value));
+  }
+
+  /**
+   * Normaliza escopo multicast (valor 0-15 ou nome)
+   */
+  parseMulticastScope(scope) {
+    let value = scope;
+    if (typeof scope === 'string') {
+      value = /^[0-9a-f]$/i.test(scope) ? parseInt(scope, 16) : MulticastScopes.indexOf(scope);
+    }
+
+    if (!Number.isInteger(value) || value < 0 || value > 15) {
+      throw new Error(`Escopo multicast inválido: ${scope}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Normaliza group ID de 32 bits (número, BigInt ou hexadecimal)
+   */
+  parseMulticastGroupId(groupId) {
+    let value;
+    try {
+      value = typeof groupId === 'string' ?
+        BigInt('0x' + groupId.replace(/^0x/i, '')) :
+        BigInt(groupId);
+    } catch (error) {
+      throw new Error(`Group ID inválido: ${groupId}`);
+    }
+
+    if (value < 0n || value > 0xffffffffn) {
+      throw new Error('Group ID deve ter no máximo 32 bits');
+    }
+
+    return value;
+  }
+
+  // ===== NEIGHBOR DISCOVERY (RFC 4861, RFC 2464) =====
+
+  /**
+   * Calcula o grupo solicited-node (ff02::1:ffXX:XXXX) de um endereço unicast
+   */
+  getSolicitedNodeMulticast(address) {
+    const validation = this.validateIPv6(address);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    if (validation.type === 'Multicast') {
+      throw new Error('Solicited-node só se aplica a endereços unicast ou anycast');
+    }
+
+    const low24 = this.ipv6ToBigInt(validation.expanded) & 0xffffffn;
+    const group = this.ipv6ToBigInt('ff02::1:ff00:0') | low24;
+
+    return this.compressAddress(this.bigIntToIPv6(group));
+  }
+
+  /**
+   * Converte grupo multicast para o MAC Ethernet correspondente (33:33 + 32 bits baixos)
+   */
+  multicastToMAC(group) {
+    const value = this.ipv6ToBigInt(group);
+    if ((value >> 120n) !== 0xffn) {
+      throw new Error(`${group} não é um endereço multicast`);
+    }
+
+    const low32 = (value & 0xffffffffn).toString(16).padStart(8, '0');
+    return this.formatMAC([0x33, 0x33, ...low32.match(/.{2}/g).map(byte => parseInt(byte, 16))]);
+  }
+
+  /**
+   * Lista os grupos multicast que uma interface (host ou roteador) assina no link
+   */
+  getJoinedMulticastGroups(address, role = 'host') {
+    const solicitedNode = this.getSolicitedNodeMulticast(address);
+    const groups = ['ff01::1', 'ff02::1', solicitedNode];
+
+    if (role === 'router') {
+      groups.push('ff01::2', 'ff02::2', 'ff05::2', 'ff02::16');
+    }
+
+    return groups.map(group => {
+      const wellKnown = this.findWellKnownMulticast(this.expandAddress(group));
+      return {
+        group: group,
+        name: wellKnown ? wellKnown.name : 'Desconhecido',
+        rfc: wellKnown ? wellKnown.rfc : null,
+        mac: this.multicastToMAC(group)
+      };
+    });
+  }
+
+  /**
+   * Busca reversa: MAC 33:33:xx:xx:xx:xx para os grupos multicast possíveis
+   */
+  macToMulticastGroups(mac) {
+    const bytes = this.parseMAC(mac);
+    if (bytes.length !== 6 || bytes[0] !== 0x33 || bytes[1] !== 0x33) {
+      throw new Error('MAC multicast IPv6 deve começar com 33:33');
+    }
+
+    const low32 = bytes.slice(2).reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+    const lowHex = low32.toString(16).padStart(8, '0');
+    const groups = [];
+
+    if (bytes[2] === 0xff) {
+      groups.push({
+        group: this.compressAddress(this.bigIntToIPv6(this.ipv6ToBigInt('ff02::1:ff00:0') | (low32 & 0xffffffn))),
+        name: 'Solicited-Node',
+        rfc: 'RFC 4291'
+      });
+    }
+
+    MulticastGroupRegistry.forEach(entry => {
+      const value = this.ipv6ToBigInt(entry.group.replace('X', '0'));
+      if ((value & 0xffffffffn) === low32) {
+        groups.push({ group: entry.group, name: entry.name, rfc: entry.rfc });
+      }
+    });
+
+    return {
+      mac: this.formatMAC(bytes),
+      groups: groups,
+      // Mapeamento é N:1 - qualquer grupo com os mesmos 32 bits baixos usa este MAC
+      pattern: `ffXX:XXXX:XXXX:XXXX:XXXX:XXXX:${lowHex.slice(0, 4)}:${lowHex.slice(4)}`
+    };
+  }
+
+  // ===== NAT64 / DNS64 (RFC 6052) =====
+
+  /**
+   * Valida prefixo NAT64 (comprimentos 32, 40, 48, 56, 64 ou 96) e devolve rede BigInt
+   */
+  parseNAT64Prefix(prefix) {
+    const validation = this.validateIPv6(prefix);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const length = validation.prefix;
+    if (!this.nat64PrefixLengths.includes(length)) {
+      throw new Error(`Prefixo NAT64 deve ser /32, /40, /48, /56, /64 ou /96 (recebido: ${length === null ? 'sem prefixo' : '/' + length})`);
+    }
+
+    const network = this.ipv6ToBigInt(validation.expanded) & this.calculateNetworkMask(length);
+
+    // Bits 64-71 (u-octet) devem ser zero em todos os formatos
+    if (length === 96 && ((network >> 56n) & 0xffn) !== 0n) {
+      throw new Error('Prefixo /96 com u-octet (bits 64-71) diferente de zero');
+    }
+
+    return {
+      network: network,
+      length: length,
+      cidr: `${this.compressGroups(this.bigIntToIPv6(network).split(':'))}/${length}`
+    };
+  }
+
+  /**
+   * Embute IPv4 em prefixo NAT64, pulando o u-octet (bits 64-71)
+   */
+  embedIPv4InNAT64(prefix, ipv4) {
+    const { network, length, cidr } = this.parseNAT64Prefix(prefix);
+    const ipv4Value = this.ipv4ToBigInt(ipv4.trim());
+    let value;
+
+    if (length === 96) {
+      value = network | ipv4Value;
+    } else {
+      // Bits do IPv4 antes do u-octet ficam em [length, 64); o restante começa no bit 72
+      const lowBits = BigInt(32 - (64 - length));
+      const high = ipv4Value >> lowBits;
+      const low = ipv4Value & ((1n << lowBits) - 1n);
+      value = network | (high << 64n) | (low << (56n - lowBits));
+    }
+
+    const expanded = this.bigIntToIPv6(value);
+    return {
+      address: this.compressAddress(expanded),
+      expanded: expanded,
+      prefix: cidr,
+      ipv4: this.bigIntToIPv4(ipv4Value)
+    };
+  }
+
+  /**
+   * Extrai o IPv4 embutido em endereço NAT64, validando o u-octet
+   */
+  extractIPv4FromNAT64(address, prefix) {
+    const { network, length, cidr } = this.parseNAT64Prefix(prefix);
+    const value = this.ipv6ToBigInt(address.split('/')[0]);
+
+    if ((value & this.calculateNetworkMask(length)) !== network) {
+      throw new Error(`Endereço fora do prefixo NAT64 ${cidr}`);
+    }
+
+    let ipv4Value;
+    let suffix = 0n;
+
+    if (length === 96) {
+      ipv4Value = value & 0xffffffffn;
+    } else {
+      if (((value >> 56n) & 0xffn) !== 0n) {
+        throw new Error('u-octet (bits 64-71) diferente de zero - endereço não segue RFC 6052');
+      }
+
+      const lowBits = BigInt(32 - (64 - length));
+      const high = (value >> 64n) & ((1n << BigInt(64 - length)) - 1n);
+      const low = (value >> (56n - lowBits)) & ((1n << lowBits) - 1n);
+      ipv4Value = (high << lowBits) | low;
+      suffix = value & ((1n << (56n - lowBits)) - 1n);
+    }
+
+    return {
+      ipv4: this.bigIntToIPv4(ipv4Value),
+      prefix: cidr,
+      address: this.compressAddress(this.bigIntToIPv6(value)),
+      suffixZero: suffix === 0n
+    };
+  }
+
+  /**
+   * Registra prefixo NAT64 específico de rede como conhecido
+   */
+  addNAT64Prefix(prefix) {
+    const { cidr } = this.parseNAT64Prefix(prefix);
+    if (!this.nat64Prefixes.includes(cidr)) {
+      this.nat64Prefixes.push(cidr);
+    }
+    return cidr;
+  }
+
+  /**
+   * Identifica o prefixo NAT64 conhecido (mais longo) e extrai o IPv4
+   * Retorna null quando o endereço não está em prefixo NAT64 conhecido
+   */
+  getNAT64Info(address) {
+    const candidates = this.nat64Prefixes
+      .map(prefix => this.parseNAT64Prefix(prefix))
+      .filter(({ network, length }) => (this.ipv6ToBigInt(address) & this.calculateNetworkMask(length)) === network)
+      .sort((a, b) => b.length - a.length);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    try {
+      return this.extractIPv4FromNAT64(address, candidates[0].cidr);
+    } catch (error) {
+      return { prefix: candidates[0].cidr, ipv4: null, error: error.message };
+    }
+  }
+
+  // ===== TÚNEIS LEGADOS (Teredo RFC 4380, 6to4 RFC 3056) =====
+
+  /**
+   * Decodifica endereço Teredo: servidor, flags, porta e IPv4 público do cliente
+   * Retorna null quando o endereço não pertence a 2001::/32
+   */
+  decodeTeredo(address) {
+    let value;
+    try {
+      value = this.ipv6ToBigInt(address);
+    } catch (error) {
+      return null;
+    }
+
+    if ((value >> 96n) !== 0x20010000n) {
+      return null;
+    }
+
+    const flags = Number((value >> 48n) & 0xffffn);
+
+    return {
+      server: this.bigIntToIPv4((value >> 64n) & 0xffffffffn),
+      flags: {
+        value: flags,
+        hex: '0x' + flags.toString(16).padStart(4, '0'),
+        cone: (flags & 0x8000) !== 0
+      },
+      // Porta e IPv4 do cliente são armazenados com os bits invertidos
+      clientPort: Number(~(value >> 32n) & 0xffffn),
+      clientIPv4: this.bigIntToIPv4(~value & 0xffffffffn)
+    };
+  }
+
+  /**
+   * Decodifica endereço 6to4: IPv4 embutido, SLA ID e identificador de interface
+   * Retorna null quando o endereço não pertence a 2002::/16
+   */
+  decode6to4(address) {
+    let value;
+    try {
+      value = this.ipv6ToBigInt(address);
+    } catch (error) {
+      return null;
+    }
+
+    if ((value >> 112n) !== 0x2002n) {
+      return null;
+    }
+
+    const ipv4Value = (value >> 80n) & 0xffffffffn;
+    const slaId = Number((value >> 64n) & 0xffffn);
+    const site = this.bigIntToIPv6(value & this.calculateNetworkMask(48));
+
+    return {
+      ipv4: this.bigIntToIPv4(ipv4Value),
+      slaId: slaId,
+      slaIdHex: slaId.toString(16),
+      sitePrefix: `${this.compressAddress(site)}/48`,
+      interfaceId: this.bigIntToIPv6(value).split(':').slice(4).join(':')
+    };
+  }
+
+  /**
+   * Gera o prefixo 6to4 (/48) de um IPv4, opcionalmente com SLA ID (/64)
+   */
+  generate6to4Prefix(ipv4, slaId = null) {
+    const ipv4Value = this.ipv4ToBigInt(ipv4.trim());
+    let value = (0x2002n << 112n) | (ipv4Value << 80n);
+
+    if (slaId === null) {
+      return `${this.compressAddress(this.bigIntToIPv6(value))}/48`;
+    }
+
+    // parseInt aceitaria lixo no final ('1g' → 1)
+    const sla = typeof slaId !== 'string' ? slaId :
+      (/^[0-9a-f]{1,4}$/i.test(slaId.trim()) ? parseInt(slaId.trim(), 16) : NaN);
+    if (!Number.isInteger(sla) || sla < 0 || sla > 0xffff) {
+      throw new Error(`SLA ID inválido: ${slaId} (deve estar entre 0 e ffff)`);
+    }
+
+    value |= BigInt(sla) << 64n;
+    return `${this.compressAddress(this.bigIntToIPv6(value))}/64`;
+  }
+
+  // ===== IDENTIFICADOR DE INTERFACE (RFC 7707, RFC 5453) =====
+
+  /**
+   * Classifica o padrão do IID (64 bits inferiores) com grau de confiança (0 a 1)
+   * Padrões previsíveis tornam o host trivialmente varrível (RFC 7707, seção 4.1.1)
+   */
+  analyzeInterfaceId(address) {
+    const validation = this.validateIPv6(address);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const iid = this.ipv6ToBigInt(validation.expanded) & 0xffffffffffffffffn;
+    const groups = [48n, 32n, 16n, 0n].map(shift => Number((iid >> shift) & 0xffffn));
+    const hex = groups.map(group => group.toString(16));
+    const candidates = [];
+    const add = (kind, confidence, details = {}) => candidates.push({ kind, confidence, details });
+
+    const reserved = this.getReservedInterfaceId(iid);
+    if (reserved) {
+      add('reserved', 1, { name: reserved.name, rfc: reserved.rfc });
+    }
+
+    // ISATAP: 0000:5efe ou 0200:5efe (bits U/G variáveis) seguido do IPv4 (RFC 5214)
+    if ((groups[0] & 0xfcff) === 0 && groups[1] === 0x5efe) {
+      add('isatap', 0.95, { ipv4: this.bigIntToIPv4(iid & 0xffffffffn) });
+    }
+
+    const eui64 = reserved ? null : this.extractMACFromEUI64(validation.expanded);
+    if (eui64) {
+      add('eui-64', 0.9, { mac: eui64.mac, oui: eui64.oui });
+    }
+
+    const upperZero = groups[0] === 0 && groups[1] === 0;
+
+    // Porta no último grupo, em hexadecimal que "parece decimal" (::80) ou pelo valor (::1bb)
+    const decimal = /^\d+$/.test(hex[3]) ? parseInt(hex[3], 10) : null;
+    const port = WellKnownServicePorts[decimal] ? decimal : (WellKnownServicePorts[groups[3]] ? groups[3] : null);
+
+    if (upperZero && groups[2] <= 0xff && port !== null) {
+      // Sem o grupo acima zerado (::1:80) a porta é a única leitura provável
+      const confidence = (port === decimal ? (hex[3].length >= 3 ? 8 : 7) : 5) + (groups[2] !== 0 ? 1 : 0);
+      add('embedded-port', confidence / 10, { port: port, service: WellKnownServicePorts[port] });
+    }
+
+    // Grupo que forma palavra (::cafe) é lido como palavra, não como low-byte
+    if (upperZero && groups[2] === 0 && groups[3] !== 0 && (groups[3] <= 0xff || !this.IID_WORDS.has(hex[3]))) {
+      const confidence = port !== null && port === decimal ? 0.6 : (groups[3] <= 0xff ? 0.9 : 0.75);
+      add('low-byte', confidence, { value: groups[3] });
+    } else if (upperZero && groups[2] !== 0 && groups[2] <= 0xff && groups[3] <= 0xff) {
+      // Dois bytes inferiores não nulos (::10:1), RFC 7707, seção 4.1.1.1
+      add('low-byte', 0.65, { value: groups[3] });
+    }
+
+    // IPv4 escrito com um octeto por grupo (192:168:0:1) ou nos 32 bits inferiores;
+    // só dígitos isolados (1:0:0:1) não bastam como indício
+    if (groups[0] !== 0 && hex.every(group => /^\d{1,3}$/.test(group) && parseInt(group, 10) <= 255) &&
+        hex.some(group => group.length > 1)) {
+      add('embedded-ipv4', 0.8, { ipv4: hex.map(group => parseInt(group, 10)).join('.') });
+    } else if (upperZero && groups[2] >= 0x100) {
+      add('embedded-ipv4', 0.7, { ipv4: this.bigIntToIPv4(iid & 0xffffffffn) });
+    }
+
+    const words = hex.filter(group => this.IID_WORDS.has(group));
+    if (words.length > 0) {
+      add('wordy', Math.min(95, 50 + words.length * 15) / 100, { words: words });
+    }
+
+    if (candidates.length === 0) {
+      const entropy = this.calculateNibbleEntropy(iid);
+      const random = entropy >= 3 && !groups.includes(0);
+      add(random ? 'random' : 'unknown', random ? Math.min(0.9, entropy / 4) : 0.5, {
+        entropy: Math.round(entropy * 100) / 100
+      });
+    }
+
+    candidates.sort((a, b) => b.confidence - a.confidence);
+    const best = candidates[0];
+    const kind = this.IID_KINDS[best.kind];
+
+    return {
+      iid: groups.map(group => group.toString(16).padStart(4, '0')).join(':'),
+      kind: best.kind,
+      label: kind.label,
+      confidence: best.confidence,
+      scannable: kind.scannable,
+      details: best.details,
+      candidates: candidates.map(candidate => ({ ...candidate, label: this.IID_KINDS[candidate.kind].label }))
+    };
+  }
+
+  /**
+   * Entrada do registro de IIDs reservados (RFC 5453) que contém o IID, ou null
+   */
+  getReservedInterfaceId(iid) {
+    return this.reservedInterfaceIds.find(entry => iid >= entry.startValue && iid <= entry.endValue) || null;
+  }
+
+  /**
+   * Entropia de Shannon dos 16 nibbles do IID (máximo 4 bits por nibble)
+   */
+  calculateNibbleEntropy(iid) {
+    const nibbles = iid.toString(16).padStart(16, '0');
+    const counts = {};
+    for (const nibble of nibbles) {
+      counts[nibble] = (counts[nibble] || 0) + 1;
+    }
+
+    return Object.values(counts).reduce((entropy, count) => {
+      const p = count / nibbles.length;
+      return entropy - p * Math.log2(p);
+    }, 0);
+  }
+
+  /**
+   * Resume os padrões de IID de uma lista de endereços de host
+   * Prefixos de rede (IID zerado com comprimento < 128) e entradas inválidas são ignorados
+   */
+  summarizeInterfaceIds(inputs) {
+    const kinds = {};
+    const scannable = [];
+    const skipped = [];
+    let hosts = 0;
+
+    inputs.forEach(input => {
+      const text = input.trim();
+      const validation = this.validateIPv6(text);
+      if (!validation.valid) {
+        skipped.push({ input: text, reason: validation.error || 'Endereço inválido' });
+        return;
+      }
+
+      const value = this.ipv6ToBigInt(validation.expanded);
+      if (validation.prefix !== null && validation.prefix < 128 &&
+          (value & ~this.calculateNetworkMask(validation.prefix) & this.MAX_IPV6) === 0n) {
+        skipped.push({ input: text, reason: 'Prefixo de rede, sem endereço de host' });
+        return;
+      }
+
+      const analysis = this.analyzeInterfaceId(validation.expanded);
+      const address = this.compressAddress(validation.expanded);
+      hosts++;
+
+      if (!kinds[analysis.kind]) {
+        kinds[analysis.kind] = { kind: analysis.kind, label: analysis.label, scannable: analysis.scannable, count: 0, addresses: [] };
+      }
+      kinds[analysis.kind].count++;
+      kinds[analysis.kind].addresses.push(address);
+
+      if (analysis.scannable) {
+        scannable.push({ address, kind: analysis.kind, label: analysis.label, confidence: analysis.confidence, details: analysis.details });
+      }
+    });
+
+    return {
+      total: inputs.length,
+      hosts: hosts,
+      kinds: Object.values(kinds).sort((a, b) => b.count - a.count),
+      scannable: scannable,
+      scannablePercentage: hosts > 0 ? Math.round(scannable.length / hosts * 100) : 0,
+      skipped: skipped
+    };
+  }
+
+  /**
+   * Analisa endereço completo
+   */
+  analyzeAddress(address) {
+    try {
+      const validation = this.validateIPv6(address);
+      if (!validation.valid) {
+        throw new Error('Endereço inválido');
+      }
+
+      const expanded = validation.expanded;
+      const binary = this.ipv6ToBigInt(expanded).toString(2).padStart(128, '0');
+      
+      // Informações RFC
+      const rfcInfo = this.getRFCInfo(expanded);
+      
+      return {
+        ...validation,
+        binary: binary,
+        hexGroups: expanded.split(':'),
+        rfc: rfcInfo,
+        eui64: this.extractMACFromEUI64(expanded),
+        interfaceId: this.analyzeInterfaceId(expanded),
+        multicast: this.analyzeMulticast(expanded),
+        nat64: this.getNAT64Info(expanded),
+        teredo: this.decodeTeredo(expanded),
+        sixToFour: this.decode6to4(expanded),
+        properties: {
+          isSpecial: this.isSpecialAddress(expanded),
+          isRoutable: this.isRoutableAddress(expanded),
+          isPrivate: this.isPrivateAddress(expanded),
+          isGloballyReachable: this.isGloballyReachable(expanded)
+        },
+        recommendations: this.generateRecommendations(validation)
+      };
+    } catch (error) {
+      throw new Error(`Erro na análise: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtém informações RFC para o endereço
+   */
+  getRFCInfo(expandedAddress) {
+    const entry = this.getRegistryEntry(expandedAddress);
+    if (!entry) return null;
+
+    return {
+      type: entry.type,
+      name: entry.name,
+      rfc: entry.rfc,
+      description: entry.description,
+      allocatedBlock: entry.prefix,
+      attributes: {
+        source: entry.source,
+        destination: entry.destination,
+        forwardable: entry.forwardable,
+        globallyReachable: entry.globallyReachable,
+        reservedByProtocol: entry.reservedByProtocol
+      },
+      compliance: entry.deprecated ? 'Deprecated' : 'Compliant'
+    };
+  }
+
+  /**
+   * Verifica se é endereço especial (IANA Special-Purpose Registry)
+   */
+  isSpecialAddress(address) {
+    const entry = this.getRegistryEntry(address);
+    return Boolean(entry && entry.specialPurpose);
+  }
+
+  /**
+   * Verifica se é endereço roteável (encaminhável além do link)
+   */
+  isRoutableAddress(address) {
+    const entry = this.getRegistryEntry(address);
+    if (!entry) return false;
+
+    if (entry.type === 'Multicast') {
+      return !['Interface-Local', 'Link-Local', 'Reserved'].includes(this.getMulticastScope(address));
+    }
+
+    return entry.forwardable !== false;
+  }
+
+  /**
+   * Verifica se é endereço privado
+   */
+  isPrivateAddress(address) {
+    const entry = this.getRegistryEntry(address);
+    return Boolean(entry && ['Link', 'Organization', 'Site'].includes(entry.scope));
+  }
+
+  /**
+   * Verifica se o endereço é globalmente alcançável (null quando N/A)
+   */
+  isGloballyReachable(address) {
+    const entry = this.getRegistryEntry(address);
+    if (!entry) return false;
+
+    if (entry.type === 'Multicast') {
+      return this.getMulticastScope(address) === 'Global';
+    }
+
+    return entry.type === 'Global Unicast' ? true : entry.globallyReachable;
+  }
+
+  /**
+   * Gera recomendações para o endereço
+   */
+  generateRecommendations(validation) {
     const recommendations = [];
     
     switch (validation.type) {
@@ -641,6 +2595,26 @@ export class IPv6Utils {
           message: 'Endereço válido para uso na Internet'
         });
         break;
+        
+      case 'Reserved':
+        recommendations.push({
+          type: 'warning',
+          message: 'Endereço em espaço reservado pela IETF, sem alocação'
+        });
+        break;
+    }
+    
+    const entry = this.getRegistryEntry(validation.expanded);
+    if (entry && entry.deprecated) {
+      recommendations.push({
+        type: 'warning',
+        message: `Bloco ${entry.prefix} depreciado (${entry.rfc}) - não deve ser usado em novas implantações`
+      });
+    } else if (entry && entry.specialPurpose && entry.forwardable === false && !['Documentation', 'Link-Local'].includes(validation.type)) {
+      recommendations.push({
+        type: 'info',
+        message: `Bloco de propósito especial ${entry.prefix} (${entry.rfc}) - não encaminhável por roteadores`
+      });
     }
     
     if (validation.prefix && validation.prefix > 64) {
@@ -0,0 +1,254 @@
+/**
+ * MAP Calculator - Regras MAP-E / MAP-T (RFC 7597 / RFC 7599)
+ * Calcula IPv4 compartilhado, PSID, conjuntos de portas e IID do CE a partir da BMR
+ */
+
+export class MAPCalculator {
+  constructor() {
+    this.ipv6Utils = null;
+    this.DEFAULT_PSID_OFFSET = 6; // RFC 7597, seção 5.1
+  }
+
+  /**
+   * Inicializa o módulo
+   */
+  async init() {
+    console.log('[MAPCalculator] Inicializando...');
+    console.log('[MAPCalculator] ✅ Inicializado');
+    return true;
+  }
+
+  /**
+   * Define referência para IPv6Utils
+   */
+  setIPv6Utils(ipv6Utils) {
+    this.ipv6Utils = ipv6Utils;
+  }
+
+  /**
+   * Valida uma Basic Mapping Rule e deriva os parâmetros p, q e m
+   * @param {Object} rule - { ipv6Prefix, ipv4Prefix, eaBits, psidOffset }
+   */
+  validateRule(rule) {
+    const errors = [];
+    const warnings = [];
+
+    if (!this.ipv6Utils) {
+      return { valid: false, errors: ['IPv6Utils não disponível'], warnings };
+    }
+
+    const v6 = this.ipv6Utils.validateIPv6(rule.ipv6Prefix || '');
+    if (!v6.valid || v6.prefix === null) {
+      errors.push('Prefixo IPv6 da regra inválido (use notação CIDR)');
+    }
+
+    const v4Match = (rule.ipv4Prefix || '').trim().match(/^([0-9.]+)\/(\d{1,2})$/);
+    const v4Length = v4Match ? parseInt(v4Match[2], 10) : null;
+    if (!v4Match || !this.ipv6Utils.isValidIPv4(v4Match[1]) || v4Length > 32) {
+      errors.push('Prefixo IPv4 da regra inválido (ex.: 192.0.2.0/24)');
+    }
+
+    const eaBits = parseInt(rule.eaBits, 10);
+    if (!Number.isInteger(eaBits) || eaBits < 0 || eaBits > 48) {
+      errors.push('EA-bits deve estar entre 0 e 48');
+    }
+
+    const psidOffset = rule.psidOffset === undefined || rule.psidOffset === '' ?
+      this.DEFAULT_PSID_OFFSET :
+      parseInt(rule.psidOffset, 10);
+    if (!Number.isInteger(psidOffset) || psidOffset < 0 || psidOffset > 15) {
+      errors.push('PSID offset deve estar entre 0 e 15');
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors, warnings };
+    }
+
+    const ipv6Length = v6.prefix;
+    const ipv6Network = this.ipv6Utils.ipv6ToBigInt(v6.expanded) & this.ipv6Utils.calculateNetworkMask(ipv6Length);
+    const ipv4Value = this.ipv6Utils.ipv4ToBigInt(v4Match[1]);
+    const ipv4Mask = v4Length === 0 ? 0n : ((1n << BigInt(v4Length)) - 1n) << BigInt(32 - v4Length);
+    const ipv4Network = ipv4Value & ipv4Mask;
+
+    const p = 32 - v4Length;  // bits de sufixo IPv4 nos EA-bits
+    const q = eaBits - p;     // comprimento do PSID
+    const endUserLength = ipv6Length + eaBits;
+
+    if (endUserLength > 64) {
+      errors.push(`Prefixo do CE /${endUserLength} (/${ipv6Length} + ${eaBits} EA-bits) excede /64`);
+    }
+
+    if (q > 0 && psidOffset + q > 16) {
+      errors.push(`PSID offset (${psidOffset}) + comprimento do PSID (${q}) excede 16 bits`);
+    }
+
+    if (ipv4Value !== ipv4Network) {
+      warnings.push(`Prefixo IPv4 da regra tem bits de host; usando ${this.ipv6Utils.bigIntToIPv4(ipv4Network)}/${v4Length}`);
+    }
+
+    if (q < 0) {
+      warnings.push(`EA-bits menor que o sufixo IPv4 (${p} bits): cada CE recebe um prefixo IPv4 /${v4Length + eaBits}`);
+    }
+
+    const psidLength = Math.max(q, 0);
+    const m = 16 - psidOffset - psidLength;
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      ipv6Network,
+      ipv6Length,
+      ipv4Network,
+      ipv4Length: v4Length,
+      eaBits,
+      psidOffset,
+      p,
+      psidLength,
+      m,
+      endUserLength,
+      sharingRatio: 2 ** psidLength,
+      portsPerCE: psidLength === 0 ? null : this.countPorts(psidOffset, m)
+    };
+  }
+
+  /**
+   * Calcula IPv4, PSID, portas e endereço do CE a partir do prefixo delegado
+   */
+  calculateFromPrefix(rule, delegatedPrefix) {
+    const params = this.requireValidRule(rule);
+    const validation = this.ipv6Utils.validateIPv6(delegatedPrefix);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const length = validation.prefix === null ? 128 : validation.prefix;
+    if (length < params.endUserLength) {
+      throw new Error(`Prefixo delegado /${length} é mais curto que /${params.endUserLength} (EA-bits incompletos)`);
+    }
+
+    const value = this.ipv6Utils.ipv6ToBigInt(validation.expanded);
+    if ((value & this.ipv6Utils.calculateNetworkMask(params.ipv6Length)) !== params.ipv6Network) {
+      throw new Error('Prefixo delegado fora do prefixo IPv6 da regra');
+    }
+
+    const eaValue = params.eaBits === 0 ?
+      0n :
+      (value >> BigInt(128 - params.endUserLength)) & ((1n << BigInt(params.eaBits)) - 1n);
+
+    return this.buildResult(params, eaValue);
+  }
+
+  /**
+   * Cálculo reverso: IPv4 + porta para o prefixo do CE
+   */
+  calculateFromIPv4(rule, ipv4, port) {
+    const params = this.requireValidRule(rule);
+    const ipv4Value = this.ipv6Utils.ipv4ToBigInt(ipv4.trim());
+    const ipv4Mask = ((1n << 32n) - 1n) ^ ((1n << BigInt(params.p)) - 1n);
+
+    if ((ipv4Value & ipv4Mask) !== params.ipv4Network) {
+      throw new Error(`IPv4 ${ipv4} fora do prefixo IPv4 da regra`);
+    }
+
+    let psid = 0n;
+    if (params.psidLength > 0) {
+      const portNumber = parseInt(port, 10);
+      if (!Number.isInteger(portNumber) || portNumber < 0 || portNumber > 65535) {
+        throw new Error('Informe uma porta entre 0 e 65535 (IPv4 compartilhado)');
+      }
+
+      if (params.psidOffset > 0 && (portNumber >> (16 - params.psidOffset)) === 0) {
+        throw new Error(`Porta ${portNumber} pertence ao bloco excluído (A = 0) e não é atribuída a nenhum CE`);
+      }
+
+      psid = BigInt((portNumber >> params.m) & ((1 << params.psidLength) - 1));
+    }
+
+    const suffixBits = Math.min(params.p, params.eaBits);
+    const suffix = (ipv4Value >> BigInt(params.p - suffixBits)) & ((1n << BigInt(suffixBits)) - 1n);
+    const eaValue = (suffix << BigInt(params.psidLength)) | psid;
+
+    return this.buildResult(params, eaValue);
+  }
+
+  /**
+   * Monta resultado a partir do valor dos EA-bits
+   */
+  buildResult(params, eaValue) {
+    const psidLength = BigInt(params.psidLength);
+    const psid = eaValue & ((1n << psidLength) - 1n);
+    const suffix = eaValue >> psidLength;
+
+    // EA-bits podem cobrir só parte do sufixo IPv4 (delegação de prefixo IPv4)
+    const suffixBits = Math.min(params.p, params.eaBits);
+    const ipv4Value = params.ipv4Network | (suffix << BigInt(params.p - suffixBits));
+    const ipv4Length = 32 - params.p + suffixBits;
+
+    const cePrefix = params.ipv6Network | (eaValue << BigInt(128 - params.endUserLength));
+    const ceAddress = this.buildCEAddress(cePrefix, ipv4Value, psid);
+
+    return {
+      cePrefix: `${this.ipv6Utils.compressAddress(this.ipv6Utils.bigIntToIPv6(cePrefix))}/${params.endUserLength}`,
+      ipv4: this.ipv6Utils.bigIntToIPv4(ipv4Value),
+      ipv4Prefix: ipv4Length < 32 ? `${this.ipv6Utils.bigIntToIPv4(ipv4Value)}/${ipv4Length}` : null,
+      psid: params.psidLength > 0 ? Number(psid) : null,
+      psidLength: params.psidLength,
+      eaBits: params.eaBits > 0 ? eaValue.toString(2).padStart(params.eaBits, '0') : '',
+      sharingRatio: params.sharingRatio,
+      portRanges: params.psidLength > 0 ? this.getPortRanges(params.psidOffset, params.psidLength, Number(psid)) : [],
+      ceAddress: ceAddress.address,
+      interfaceId: ceAddress.interfaceId,
+      warnings: params.warnings
+    };
+  }
+
+  /**
+   * Endereço do CE: prefixo (sub-rede 0) + IID 0:IPv4:PSID (RFC 7597, seção 6)
+   */
+  buildCEAddress(cePrefix, ipv4Value, psid) {
+    const interfaceId = (ipv4Value << 16n) | psid;
+    const expanded = this.ipv6Utils.bigIntToIPv6(cePrefix | interfaceId);
+
+    return {
+      address: this.ipv6Utils.compressAddress(expanded),
+      interfaceId: expanded.split(':').slice(4).join(':')
+    };
+  }
+
+  /**
+   * Lista as faixas de portas de um PSID (algoritmo GMA, RFC 7597 Apêndice B)
+   */
+  getPortRanges(psidOffset, psidLength, psid) {
+    const m = 16 - psidOffset - psidLength;
+    const blockSize = 2 ** m;
+    const ranges = [];
+    const firstA = psidOffset > 0 ? 1 : 0;
+
+    for (let a = firstA; a < 2 ** psidOffset; a++) {
+      const start = (a << (16 - psidOffset)) | (psid << m);
+      ranges.push({ start, end: start + blockSize - 1 });
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Número de portas disponíveis por CE
+   */
+  countPorts(psidOffset, m) {
+    const blocks = psidOffset > 0 ? 2 ** psidOffset - 1 : 1;
+    return blocks * 2 ** m;
+  }
+
+  /**
+   * Valida a regra e lança erro com todas as inconsistências
+   */
+  requireValidRule(rule) {
+    const params = this.validateRule(rule);
+    if (!params.valid) {
+      throw new Error(params.errors.join('; '));
+    }
+    return params;
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * NPTv6 Translator - Tradução de prefixo neutra em checksum (RFC 6296)
+ * Calcula o ajuste de um mapeamento interno/externo e traduz endereços nos dois sentidos
+ */
+
+export class NPTv6Translator {
+  constructor() {
+    this.ipv6Utils = null;
+    this.overlapEngine = null;
+
+    // Para prefixos /48 ou menores o ajuste é aplicado à palavra 3 (bits 48-63)
+    this.ADJUSTMENT_WORD = 3;
+    this.MAX_PREFIX_LENGTH = 48;
+  }
+
+  /**
+   * Inicializa o módulo
+   */
+  async init() {
+    console.log('[NPTv6Translator] Inicializando...');
+    console.log('[NPTv6Translator] ✅ Inicializado');
+    return true;
+  }
+
+  /**
+   * Define referência para IPv6Utils
+   */
+  setIPv6Utils(ipv6Utils) {
+    this.ipv6Utils = ipv6Utils;
+  }
+
+  /**
+   * Define referência para OverlapEngine (par interno/externo não pode se sobrepor)
+   */
+  setOverlapEngine(overlapEngine) {
+    this.overlapEngine = overlapEngine;
+  }
+
+  /**
+   * Cria mapeamento NPTv6 e calcula o valor de ajuste
+   */
+  createMapping(internalPrefix, externalPrefix) {
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+
+    const internal = this.parsePrefix(internalPrefix, 'interno');
+    const external = this.parsePrefix(externalPrefix, 'externo');
+
+    if (internal.length !== external.length) {
+      throw new Error(`Prefixos interno (/${internal.length}) e externo (/${external.length}) devem ter o mesmo comprimento`);
+    }
+
+    const overlap = this.overlapEngine ? this.overlapEngine.checkOverlap(internal.cidr, external.cidr) : null;
+    if (overlap && overlap.hasOverlap) {
+      throw new Error(`Prefixos interno e externo se sobrepõem: ${overlap.reason}`);
+    }
+
+    // ajuste = soma(interno) - soma(externo), em complemento de um
+    const adjustment = this.onesComplementAdd(
+      this.sumPrefixWords(internal.network),
+      ~this.sumPrefixWords(external.network) & 0xffff
+    );
+
+    const warnings = [];
+    const unusableSubnet = this.onesComplementAdd(0xffff, ~adjustment & 0xffff);
+
+    if (adjustment === 0xffff) {
+      warnings.push('Ajuste resultou em 0xFFFF (equivalente a zero em complemento de um)');
+    }
+
+    warnings.push(`Sub-rede interna 0x${this.formatWord(unusableSubnet)} resulta em 0xFFFF e é traduzida como 0x0000`);
+
+    return {
+      internal: internal.cidr,
+      external: external.cidr,
+      prefixLength: internal.length,
+      adjustment: adjustment,
+      adjustmentHex: '0x' + this.formatWord(adjustment),
+      adjustmentWord: this.ADJUSTMENT_WORD,
+      adjustmentBits: `${this.ADJUSTMENT_WORD * 16}-${this.ADJUSTMENT_WORD * 16 + 15}`,
+      unusableSubnet: '0x' + this.formatWord(unusableSubnet),
+      overlap: overlap,
+      warnings: warnings
+    };
+  }
+
+  /**
+   * Traduz endereço interno para o mapeamento externo
+   */
+  translateOutbound(mapping, address) {
+    return this.translate(address, mapping.internal, mapping.external, mapping.adjustment);
+  }
+
+  /**
+   * Traduz endereço externo de volta para o interno
+   */
+  translateInbound(mapping, address) {
+    return this.translate(address, mapping.external, mapping.internal, ~mapping.adjustment & 0xffff);
+  }
+
+  /**
+   * Substitui o prefixo e aplica o ajuste na palavra de sub-rede
+   */
+  translate(address, fromPrefix, toPrefix, adjustment) {
+    const utils = this.ipv6Utils;
+    const value = utils.ipv6ToBigInt(address.split('/')[0]);
+    const from = this.parsePrefix(fromPrefix, 'de origem');
+    const to = this.parsePrefix(toPrefix, 'de destino');
+    const mask = utils.calculateNetworkMask(from.length);
+
+    if ((value & mask) !== from.network) {
+      throw new Error(`Endereço fora do prefixo ${from.cidr}`);
+    }
+
+    const shift = BigInt(128 - (this.ADJUSTMENT_WORD + 1) * 16);
+    const word = Number((value >> shift) & 0xffffn);
+
+    if (word === 0xffff) {
+      throw new Error('Sub-rede 0xFFFF não pode ser traduzida (RFC 6296, seção 3.5)');
+    }
+
+    let translatedWord = this.onesComplementAdd(word, adjustment);
+    if (translatedWord === 0xffff) {
+      translatedWord = 0x0000;
+    }
+
+    const translated = ((value & ~mask) | to.network) & ~(0xffffn << shift) | (BigInt(translatedWord) << shift);
+    const expanded = utils.bigIntToIPv6(translated & ((1n << 128n) - 1n));
+
+    return {
+      original: utils.compressAddress(utils.bigIntToIPv6(value)),
+      translated: utils.compressAddress(expanded),
+      expanded: expanded,
+      subnetWord: '0x' + this.formatWord(word),
+      translatedWord: '0x' + this.formatWord(translatedWord)
+    };
+  }
+
+  /**
+   * Valida prefixo NPTv6 (/48 ou menor)
+   */
+  parsePrefix(prefix, label) {
+    const validation = this.ipv6Utils.validateIPv6(prefix || '');
+    if (!validation.valid) {
+      throw new Error(`Prefixo ${label} inválido: ${validation.error}`);
+    }
+
+    if (validation.prefix === null) {
+      throw new Error(`Informe o comprimento do prefixo ${label} (ex.: fd01:203:405::/48)`);
+    }
+
+    if (validation.prefix > this.MAX_PREFIX_LENGTH) {
+      throw new Error(`Prefixo ${label} /${validation.prefix} maior que /${this.MAX_PREFIX_LENGTH} não é suportado`);
+    }
+
+    const network = this.ipv6Utils.ipv6ToBigInt(validation.expanded) &
+      this.ipv6Utils.calculateNetworkMask(validation.prefix);
+
+    return {
+      network: network,
+      length: validation.prefix,
+      cidr: `${this.ipv6Utils.compressAddress(this.ipv6Utils.bigIntToIPv6(network))}/${validation.prefix}`
+    };
+  }
+
+  /**
+   * Soma em complemento de um das palavras de 16 bits do prefixo
+   */
+  sumPrefixWords(network) {
+    let sum = 0;
+    for (let i = 0; i < this.ADJUSTMENT_WORD; i++) {
+      const word = Number((network >> BigInt(128 - (i + 1) * 16)) & 0xffffn);
+      sum = this.onesComplementAdd(sum, word);
+    }
+    return sum;
+  }
+
+  /**
+   * Adição em complemento de um (16 bits)
+   */
+  onesComplementAdd(a, b) {
+    const sum = a + b;
+    return (sum & 0xffff) + (sum >> 16);
+  }
+
+  /**
+   * Formata palavra de 16 bits em hexadecimal
+   */
+  formatWord(word) {
+    return word.toString(16).padStart(4, '0');
+  }
+}
@@ -3,6 +3,8 @@
  * Otimizado para performance e precisão
  */
 
+import { IPSet } from './ip-set.js';
+
 export class OverlapEngine {
   constructor() {
     this.cache = new Map();
@@ -84,22 +86,23 @@ export class OverlapEngine {
         throw new Error('Ambos os CIDRs devem ser fornecidos');
       }
 
-      // Verificar cache
-      const cacheKey = `${cidr1}|${cidr2}|${JSON.stringify(options)}`;
+      // Importar IPv6Utils dinamicamente se necessário
+      if (!this.ipv6Utils) {
+        throw new Error('IPv6Utils não disponível - inicialize primeiro');
+      }
+
+      // Verificar cache (o modo de bits de host pode vir das configurações)
+      const hostBitsMode = this.ipv6Utils.resolveHostBitsMode(options);
+      const cacheKey = `${cidr1}|${cidr2}|${hostBitsMode}|${JSON.stringify(options)}`;
       const cached = this.getFromCache(cacheKey);
       if (cached) {
         cached.details.performance.cached = true;
         return cached;
       }
 
-      // Importar IPv6Utils dinamicamente se necessário
-      if (!this.ipv6Utils) {
-        throw new Error('IPv6Utils não disponível - inicialize primeiro');
-      }
-
       // Validar e obter informações dos CIDRs
-      const network1 = this.validateAndGetNetworkInfo(cidr1);
-      const network2 = this.validateAndGetNetworkInfo(cidr2);
+      const network1 = this.validateAndGetNetworkInfo(cidr1, { hostBitsMode });
+      const network2 = this.validateAndGetNetworkInfo(cidr2, { hostBitsMode });
 
       // Realizar análise de sobreposição
       const overlapAnalysis = this.analyzeOverlap(network1, network2);
@@ -111,6 +114,7 @@ export class OverlapEngine {
         severity: overlapAnalysis.severity,
         reason: overlapAnalysis.reason,
         confidence: overlapAnalysis.confidence || 100,
+        warnings: [network1.warning, network2.warning].filter(Boolean),
         details: {
           cidr1: cidr1,
           cidr2: cidr2,
@@ -139,11 +143,16 @@ export class OverlapEngine {
   /**
    * Valida CIDR e obtém informações da rede
    */
-  validateAndGetNetworkInfo(cidr) {
+  validateAndGetNetworkInfo(cidr, options = {}) {
     try {
+      // Intervalos "início - fim" (pools DHCPv6, objetos de firewall)
+      if (this.ipv6Utils.isRange(cidr)) {
+        return this.getRangeInfo(cidr);
+      }
+
       // Verificar formato CIDR
       if (!cidr.includes('/')) {
-        throw new Error(`CIDR inválido: ${cidr} - deve incluir prefixo (ex: /64)`);
+        throw new Error(`CIDR inválido: ${cidr} - deve incluir prefixo (ex: /64) ou ser um intervalo`);
       }
 
       // Usar IPv6Utils para validação e informações
@@ -152,7 +161,7 @@ export class OverlapEngine {
         throw new Error(`CIDR inválido: ${cidr}`);
       }
 
-      const networkInfo = this.ipv6Utils.getNetworkInfo(cidr);
+      const networkInfo = this.ipv6Utils.getNetworkInfo(cidr, options);
       
       return {
         ...networkInfo,
@@ -164,6 +173,50 @@ export class OverlapEngine {
     }
   }
 
+  /**
+   * Obtém informações equivalentes às de rede para um intervalo
+   */
+  getRangeInfo(range) {
+    const parsed = this.ipv6Utils.parseRange(range);
+    const start = this.ipv6Utils.bigIntToIPv6(parsed.start);
+    const end = this.ipv6Utils.bigIntToIPv6(parsed.end);
+
+    return {
+      network: start,
+      broadcast: end,
+      networkBigInt: parsed.start,
+      broadcastBigInt: parsed.end,
+      prefix: null,
+      mask: null,
+      totalAddresses: parsed.size.toString(),
+      compressed: {
+        network: parsed.startAddress,
+        broadcast: parsed.endAddress
+      },
+      isRange: true,
+      inputKind: 'range',
+      hostBitsSet: false,
+      warning: null,
+      cidrs: this.ipv6Utils.rangeToCIDRs(range),
+      original: range,
+      validation: this.ipv6Utils.validateIPv6(start)
+    };
+  }
+
+  /**
+   * Converte informações de rede/intervalo em IPSet
+   */
+  toIPSet(networkInfo) {
+    return new IPSet([{ start: networkInfo.networkBigInt, end: networkInfo.broadcastBigInt }], this.ipv6Utils);
+  }
+
+  /**
+   * Cria IPSet a partir de CIDRs ou intervalos
+   */
+  createIPSet(inputs) {
+    return IPSet.from(inputs, this.ipv6Utils);
+  }
+
   /**
    * Remove informações sensíveis das informações de rede
    */
@@ -249,9 +302,9 @@ export class OverlapEngine {
     }
 
     // Calcular detalhes da sobreposição
-    const overlapStart = start1 > start2 ? start1 : start2;
-    const overlapEnd = end1 < end2 ? end1 : end2;
-    const overlapSize = overlapEnd - overlapStart + 1n;
+    const overlap = this.toIPSet(network1).intersect(this.toIPSet(network2));
+    const [{ start: overlapStart, end: overlapEnd }] = overlap.ranges;
+    const overlapSize = overlap.size();
     
     const percentageOverlap = this.calculateOverlapPercentage(
       network1, network2, overlapSize
@@ -267,6 +320,7 @@ export class OverlapEngine {
         overlapStart: this.ipv6Utils.bigIntToIPv6(overlapStart),
         overlapEnd: this.ipv6Utils.bigIntToIPv6(overlapEnd),
         overlapSize: overlapSize.toString(),
+        overlapCIDRs: overlap.toCIDRs(),
         percentageOverlap: percentageOverlap,
         affectedAddresses: this.calculateAffectedAddresses(overlapSize)
       }
@@ -441,29 +495,17 @@ export class OverlapEngine {
    */
   generateSuggestion(lanPrefix, wanPrefix) {
     try {
-      // Extrair informações dos prefixos
-      const [wanAddr, wanPrefixLen] = wanPrefix.split('/');
-      const wanNetwork = this.ipv6Utils.getNetworkInfo(wanPrefix);
-      
-      const prefixLength = parseInt(wanPrefixLen);
-      const increment = 1n << (128n - BigInt(prefixLength));
-      
-      // Tentar próximo bloco
-      let suggestedBigInt = wanNetwork.networkBigInt + increment;
-      
-      // Verificar se está dentro do espaço de endereçamento válido
-      const maxIPv6 = (1n << 128n) - 1n;
-      if (suggestedBigInt > maxIPv6) {
-        // Tentar bloco anterior
-        suggestedBigInt = wanNetwork.networkBigInt - increment;
-        if (suggestedBigInt < 0n) {
-          return null;
-        }
+      // Intervalos não têm comprimento de prefixo para derivar o próximo bloco
+      if (this.ipv6Utils.isRange(wanPrefix)) {
+        return null;
+      }
+
+      // Próximo bloco de mesmo comprimento; no fim do espaço, o anterior
+      const suggestion = this.ipv6Utils.getNextPrefix(wanPrefix) ||
+        this.ipv6Utils.getPreviousPrefix(wanPrefix);
+      if (!suggestion) {
+        return null;
       }
-      
-      const suggestedAddr = this.ipv6Utils.bigIntToIPv6(suggestedBigInt);
-      const compressedAddr = this.ipv6Utils.compressAddress(suggestedAddr);
-      const suggestion = `${compressedAddr}/${prefixLength}`;
       
       // Verificar se a sugestão não conflita
       const testResult = this.checkOverlap(suggestion, wanPrefix);
@@ -491,9 +533,14 @@ export class OverlapEngine {
       const validPrefixes = [];
       for (let i = 0; i < prefixes.length; i++) {
         try {
-          const validation = this.ipv6Utils.validateIPv6(prefixes[i]);
+          const isRange = this.ipv6Utils.isRange(prefixes[i]);
+          const validation = isRange ?
+            this.getRangeInfo(prefixes[i]).validation :
+            this.ipv6Utils.validateIPv6(prefixes[i]);
           if (validation.valid) {
-            validPrefixes.push({ index: i, prefix: prefixes[i], validation });
+            // Aplicar modo de bits de host (erro no modo estrito)
+            const warning = isRange ? null : this.ipv6Utils.parseCIDR(prefixes[i], options).warning;
+            validPrefixes.push({ index: i, prefix: prefixes[i], validation, warning });
           } else {
             results.push({
               index: i,
@@ -552,7 +599,8 @@ export class OverlapEngine {
           prefix: vp.prefix,
           valid: true,
           type: vp.validation.type,
-          scope: vp.validation.scope
+          scope: vp.validation.scope,
+          warning: vp.warning
         });
       });
 
@@ -562,6 +610,7 @@ export class OverlapEngine {
       return {
         results: results.sort((a, b) => a.index - b.index),
         conflicts: conflicts,
+        sets: this.buildBatchSets(validPrefixes.map(vp => vp.prefix)),
         statistics: stats,
         summary: this.generateBatchSummary(results, conflicts),
         executionTime: performance.now() - startTime
@@ -572,6 +621,22 @@ export class OverlapEngine {
     }
   }
 
+  /**
+   * Conjuntos da análise em lote: espaço coberto e espaço reivindicado por mais de um prefixo
+   */
+  buildBatchSets(prefixes) {
+    let coverage = new IPSet([], this.ipv6Utils);
+    let overlap = new IPSet([], this.ipv6Utils);
+
+    prefixes.forEach(prefix => {
+      const set = this.createIPSet(prefix);
+      overlap = overlap.union(coverage.intersect(set));
+      coverage = coverage.union(set);
+    });
+
+    return { coverage, overlap };
+  }
+
   /**
    * Gera estatísticas da análise em lote
    */
@@ -690,6 +755,207 @@ export class OverlapEngine {
     return recommendations;
   }
 
+  // ===== SUMARIZAÇÃO DE PREFIXOS =====
+
+  /**
+   * Agrega prefixos na menor lista equivalente (ou até maxPrefixes, com perda)
+   * @param {Array<string>} prefixes - Lista de CIDRs ou intervalos
+   * @param {Object} options - { maxPrefixes: número máximo de prefixos de saída }
+   */
+  summarizePrefixes(prefixes, options = {}) {
+    const startTime = performance.now();
+    const invalid = [];
+    const blocks = [];
+
+    prefixes.forEach((prefix, index) => {
+      try {
+        const cidrs = this.ipv6Utils.isRange(prefix) ? this.ipv6Utils.rangeToCIDRs(prefix) : [prefix.trim()];
+        cidrs.forEach(cidr => {
+          const { network, prefix: length } = this.ipv6Utils.parseCIDR(cidr);
+          blocks.push({ network, prefix: length, covered: this.ipv6Utils.getBlockSize(length), sources: [] });
+        });
+      } catch (error) {
+        invalid.push({ index, prefix, error: error.message });
+      }
+    });
+
+    const exact = this.mergeBlocks(blocks);
+    let summarized = exact;
+    const aggregations = [];
+
+    const maxPrefixes = parseInt(options.maxPrefixes, 10);
+    if (Number.isInteger(maxPrefixes) && maxPrefixes > 0) {
+      // Cada bloco exato passa a registrar os prefixos que representa
+      summarized = this.aggregateLossy(
+        exact.map(block => ({ ...block, sources: [this.ipv6Utils.formatCIDR(block.network, block.prefix)] })),
+        maxPrefixes,
+        aggregations
+      );
+    }
+
+    const extraAddresses = aggregations.reduce((total, aggregation) => total + aggregation.extra, 0n);
+
+    return {
+      input: prefixes.length,
+      invalid: invalid,
+      exact: exact.map(block => this.ipv6Utils.formatCIDR(block.network, block.prefix)),
+      prefixes: summarized.map(block => this.ipv6Utils.formatCIDR(block.network, block.prefix)),
+      lossy: aggregations.length > 0,
+      aggregations: aggregations.map(aggregation => ({
+        prefix: this.ipv6Utils.formatCIDR(aggregation.network, aggregation.prefix),
+        replaces: aggregation.replaces,
+        extraAddresses: aggregation.extra.toString(),
+        extraPercentage: this.calculateExtraPercentage(aggregation.extra, aggregation.prefix)
+      })),
+      extraAddresses: extraAddresses.toString(),
+      executionTime: performance.now() - startTime
+    };
+  }
+
+  /**
+   * Remove prefixos contidos e funde irmãos adjacentes (resultado exato)
+   */
+  mergeBlocks(blocks) {
+    const sorted = [...blocks].sort((a, b) =>
+      a.network === b.network ? a.prefix - b.prefix : (a.network < b.network ? -1 : 1)
+    );
+    const merged = [];
+
+    sorted.forEach(block => {
+      const last = merged[merged.length - 1];
+      if (last && this.blockContains(last, block)) {
+        return;
+      }
+
+      merged.push({ ...block });
+
+      // Funde enquanto os dois últimos forem irmãos ("buddies")
+      while (merged.length >= 2) {
+        const b = merged[merged.length - 1];
+        const a = merged[merged.length - 2];
+
+        if (!this.areBuddies(a, b)) {
+          break;
+        }
+
+        merged.splice(-2, 2, {
+          network: a.network,
+          prefix: a.prefix - 1,
+          covered: a.covered + b.covered,
+          sources: [...a.sources, ...b.sources]
+        });
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Agrega vizinhos com o menor espaço extra até caber em maxPrefixes
+   */
+  aggregateLossy(blocks, maxPrefixes, aggregations) {
+    const current = [...blocks];
+
+    while (current.length > maxPrefixes) {
+      let best = null;
+
+      for (let i = 0; i < current.length - 1; i++) {
+        const supernet = this.getCommonSupernet(current[i], current[i + 1]);
+
+        // Na lista ordenada, os blocos contidos na supernet são contíguos a i e i + 1
+        let first = i;
+        let last = i + 1;
+        while (first > 0 && this.blockContains(supernet, current[first - 1])) first--;
+        while (last < current.length - 1 && this.blockContains(supernet, current[last + 1])) last++;
+
+        let covered = 0n;
+        for (let j = first; j <= last; j++) {
+          covered += current[j].covered;
+        }
+        const extra = this.ipv6Utils.getBlockSize(supernet.prefix) - covered;
+
+        if (!best || extra < best.extra) {
+          best = { ...supernet, first, last, covered, extra };
+        }
+      }
+
+      const replaces = current.slice(best.first, best.last + 1).flatMap(block => block.sources);
+
+      // Agregações anteriores absorvidas pela nova supernet deixam de ser listadas
+      for (let i = aggregations.length - 1; i >= 0; i--) {
+        if (this.blockContains(best, aggregations[i])) {
+          aggregations.splice(i, 1);
+        }
+      }
+      aggregations.push({ network: best.network, prefix: best.prefix, replaces, extra: best.extra });
+
+      current.splice(best.first, best.last - best.first + 1,
+        { network: best.network, prefix: best.prefix, covered: best.covered, sources: replaces });
+      this.mergeBuddiesAt(current, best.first);
+    }
+
+    return current;
+  }
+
+  /**
+   * Funde o bloco na posição index com irmãos adjacentes, em cascata
+   */
+  mergeBuddiesAt(blocks, index) {
+    while (true) {
+      if (index > 0 && this.areBuddies(blocks[index - 1], blocks[index])) {
+        index--;
+      } else if (index >= blocks.length - 1 || !this.areBuddies(blocks[index], blocks[index + 1])) {
+        return;
+      }
+
+      const [a, b] = blocks.slice(index, index + 2);
+      blocks.splice(index, 2, {
+        network: a.network,
+        prefix: a.prefix - 1,
+        covered: a.covered + b.covered,
+        sources: [...a.sources, ...b.sources]
+      });
+    }
+  }
+
+  /**
+   * Verifica se a e b são as duas metades do mesmo bloco pai ("buddies")
+   */
+  areBuddies(a, b) {
+    const size = this.ipv6Utils.getBlockSize(a.prefix);
+    return a.prefix === b.prefix && a.prefix !== 0 && (a.network & size) === 0n && a.network + size === b.network;
+  }
+
+  /**
+   * Menor supernet que contém os dois blocos
+   */
+  getCommonSupernet(a, b) {
+    const diff = a.network ^ b.network;
+    const commonBits = diff === 0n ? 128 : 128 - diff.toString(2).length;
+    const prefix = Math.min(commonBits, a.prefix, b.prefix);
+
+    return {
+      network: a.network & this.ipv6Utils.calculateNetworkMask(prefix),
+      prefix: prefix
+    };
+  }
+
+  /**
+   * Verifica se o bloco outer contém o bloco inner
+   */
+  blockContains(outer, inner) {
+    return outer.prefix <= inner.prefix &&
+      (inner.network & this.ipv6Utils.calculateNetworkMask(outer.prefix)) === outer.network;
+  }
+
+  /**
+   * Percentual do bloco agregado que não estava na lista original
+   */
+  calculateExtraPercentage(extra, prefix) {
+    const size = this.ipv6Utils.getBlockSize(prefix);
+    return Number((extra * 10000n) / size) / 100;
+  }
+
   /**
    * Cria resultado de erro
    */
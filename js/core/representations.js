@@ -0,0 +1,316 @@
+/**
+ * Address Representations - Formas alternativas de um endereço IPv6
+ * Binário, decimal, hexadecimal, base85 (RFC 1924), URI (RFC 6874) e UNC (ipv6-literal.net)
+ */
+
+export class AddressRepresentations {
+  constructor() {
+    this.ipv6Utils = null;
+
+    // Alfabeto da RFC 1924, em ordem crescente de valor
+    this.BASE85_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz!#$%&()*+-;<=>?@^_`{|}~';
+    this.UNC_SUFFIX = '.ipv6-literal.net';
+
+    this.FORMATS = {
+      ipv6: 'IPv6',
+      binary: 'Binário',
+      decimal: 'Decimal',
+      hex: 'Hexadecimal',
+      base85: 'Base85 (RFC 1924)',
+      uri: 'URI (RFC 6874)',
+      unc: 'UNC (ipv6-literal.net)'
+    };
+  }
+
+  /**
+   * Inicializa o módulo
+   */
+  async init() {
+    console.log('[AddressRepresentations] Inicializando...');
+    console.log('[AddressRepresentations] ✅ Inicializado');
+    return true;
+  }
+
+  /**
+   * Define referência para IPv6Utils
+   */
+  setIPv6Utils(ipv6Utils) {
+    this.ipv6Utils = ipv6Utils;
+  }
+
+  /**
+   * Gera todas as representações de um endereço (em qualquer formato suportado)
+   * @param {string} format - Formato explícito; sem ele, leituras alternativas são listadas
+   */
+  getAll(input, format = null) {
+    const parsed = this.parse(input, format);
+    const value = this.ipv6Utils.ipv6ToBigInt(parsed.expanded);
+
+    return {
+      source: parsed.format,
+      zone: parsed.zone,
+      alternatives: format ? [] : this.findAlternatives(input, parsed),
+      forms: {
+        compressed: parsed.compressed,
+        expanded: parsed.expanded,
+        binary: this.toBinary(value, 'nibble'),
+        binaryGroups: this.toBinary(value, 'group'),
+        decimal: value.toString(),
+        hex: this.toHex(value),
+        base85: this.toBase85(value),
+        uri: this.toURI(parsed.compressed, parsed.zone),
+        unc: this.toUNC(parsed.compressed, parsed.zone)
+      }
+    };
+  }
+
+  /**
+   * Binário com separadores por nibble (espaço) ou por grupo de 16 bits (":")
+   */
+  toBinary(value, separator = 'nibble') {
+    const bits = this.toValue(value).toString(2).padStart(128, '0');
+    const size = separator === 'group' ? 16 : 4;
+    const chunks = bits.match(new RegExp(`.{${size}}`, 'g'));
+
+    return chunks.join(separator === 'group' ? ':' : ' ');
+  }
+
+  /**
+   * Hexadecimal de 32 dígitos sem dois-pontos
+   */
+  toHex(value) {
+    return this.toValue(value).toString(16).padStart(32, '0');
+  }
+
+  /**
+   * Base85 da RFC 1924 (20 caracteres)
+   */
+  toBase85(value) {
+    let remaining = this.toValue(value);
+    let encoded = '';
+
+    for (let i = 0; i < 20; i++) {
+      encoded = this.BASE85_ALPHABET[Number(remaining % 85n)] + encoded;
+      remaining /= 85n;
+    }
+
+    return encoded;
+  }
+
+  /**
+   * Host entre colchetes para URIs; "%" do Zone ID vira "%25" (RFC 6874)
+   */
+  toURI(address, zone = null) {
+    const zonePart = zone ? '%25' + encodeURIComponent(zone) : '';
+    return `[${this.ipv6Utils.compressAddress(address)}${zonePart}]`;
+  }
+
+  /**
+   * Nome UNC do Windows: ":" vira "-" e o Zone ID é separado por "s"
+   */
+  toUNC(address, zone = null) {
+    // Sem notação mista: pontos quebrariam o nome DNS
+    const groups = this.ipv6Utils.expandAddress(address).split(':');
+    // Rótulo DNS não pode começar nem terminar com hífen: "::1" vira "0--1"
+    const host = this.ipv6Utils.compressGroups(groups).replace(/:/g, '-').replace(/^-/, '0-').replace(/-$/, '-0');
+    return `${host}${zone ? 's' + zone : ''}${this.UNC_SUFFIX}`;
+  }
+
+  /**
+   * Detecta o formato e converte de volta para IPv6
+   * @param {string} format - Formato explícito; detectado automaticamente se omitido
+   */
+  parse(input, format = null) {
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+
+    const text = (input || '').trim();
+    const detected = format || this.detectFormat(text);
+    let value;
+    let zone = null;
+
+    switch (detected) {
+      case 'binary': {
+        const bits = text.replace(/[\s:_]/g, '');
+        if (!/^[01]{128}$/.test(bits)) {
+          throw new Error('Binário deve ter exatamente 128 bits');
+        }
+        value = BigInt('0b' + bits);
+        break;
+      }
+
+      case 'decimal':
+        if (!/^\d+$/.test(text)) {
+          throw new Error('Decimal inválido');
+        }
+        value = BigInt(text);
+        break;
+
+      case 'hex': {
+        const hex = text.replace(/^0x/i, '');
+        if (!/^[0-9a-f]{1,32}$/i.test(hex)) {
+          throw new Error('Hexadecimal deve ter até 32 dígitos');
+        }
+        value = BigInt('0x' + hex);
+        break;
+      }
+
+      case 'base85':
+        value = this.parseBase85(text);
+        break;
+
+      case 'uri':
+        ({ value, zone } = this.parseURI(text));
+        break;
+
+      case 'unc':
+        ({ value, zone } = this.parseUNC(text));
+        break;
+
+      case 'ipv6': {
+        const validation = this.ipv6Utils.validateIPv6(text);
+        if (!validation.valid) {
+          throw new Error(validation.error);
+        }
+        value = this.ipv6Utils.ipv6ToBigInt(validation.expanded);
+        zone = validation.zoneId || null;
+        break;
+      }
+
+      default:
+        throw new Error(`Formato desconhecido: ${detected}`);
+    }
+
+    if (value > this.ipv6Utils.MAX_IPV6) {
+      throw new Error('Valor excede 128 bits');
+    }
+
+    const expanded = this.ipv6Utils.bigIntToIPv6(value);
+    return {
+      format: detected,
+      formatName: this.FORMATS[detected],
+      expanded: expanded,
+      compressed: this.ipv6Utils.compressAddress(expanded),
+      zone: zone
+    };
+  }
+
+  /**
+   * Detecta o formato de entrada (32 dígitos hexadecimais têm precedência sobre decimal)
+   */
+  detectFormat(text) {
+    return this.detectFormats(text)[0];
+  }
+
+  /**
+   * Formatos compatíveis com a entrada, em ordem de precedência (IPv6 por último)
+   */
+  detectFormats(text) {
+    const formats = [];
+
+    if (text.toLowerCase().endsWith(this.UNC_SUFFIX)) formats.push('unc');
+    if (text.startsWith('[') || text.includes('://')) formats.push('uri');
+    if (/^[01]{128}$/.test(text.replace(/[\s:_]/g, ''))) formats.push('binary');
+    if (/^0x[0-9a-f]+$/i.test(text) || /^[0-9a-f]{32}$/i.test(text)) formats.push('hex');
+    if (/^\d+$/.test(text)) formats.push('decimal');
+    if (text.length === 20 && !text.includes(':') && [...text].every(c => this.BASE85_ALPHABET.includes(c))) formats.push('base85');
+    formats.push('ipv6');
+
+    return formats;
+  }
+
+  /**
+   * Outras leituras válidas da entrada que resultam em endereço diferente
+   * (ex.: base85 só com dígitos também é decimal)
+   */
+  findAlternatives(input, parsed) {
+    const text = (input || '').trim();
+
+    return this.detectFormats(text)
+      .filter(format => format !== parsed.format)
+      .map(format => {
+        try {
+          return this.parse(text, format);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(alternative => alternative && alternative.compressed !== parsed.compressed)
+      .map(alternative => ({
+        format: alternative.format,
+        formatName: alternative.formatName,
+        compressed: alternative.compressed
+      }));
+  }
+
+  /**
+   * Decodifica base85 da RFC 1924
+   */
+  parseBase85(text) {
+    if (text.length !== 20) {
+      throw new Error('Base85 (RFC 1924) deve ter 20 caracteres');
+    }
+
+    return [...text].reduce((value, char) => {
+      const digit = this.BASE85_ALPHABET.indexOf(char);
+      if (digit < 0) {
+        throw new Error(`Caractere inválido em base85: ${char}`);
+      }
+      return value * 85n + BigInt(digit);
+    }, 0n);
+  }
+
+  /**
+   * Extrai endereço e Zone ID de um URI ou host entre colchetes
+   */
+  parseURI(text) {
+    const match = text.match(/\[([^\]]+)\]/);
+    if (!match) {
+      throw new Error('URI deve conter o endereço entre colchetes');
+    }
+
+    const [address, zone] = match[1].split(/%25/i);
+    if (match[1].includes('%') && zone === undefined) {
+      throw new Error('Zone ID em URI deve usar "%25" (RFC 6874)');
+    }
+
+    return {
+      value: this.parseAddressValue(address),
+      zone: zone ? decodeURIComponent(zone) : null
+    };
+  }
+
+  /**
+   * Extrai endereço e Zone ID de um nome ipv6-literal.net
+   */
+  parseUNC(text) {
+    const host = text.slice(0, -this.UNC_SUFFIX.length);
+    const separator = host.indexOf('s');
+    const address = separator < 0 ? host : host.slice(0, separator);
+    const zone = separator < 0 ? null : host.slice(separator + 1);
+
+    return {
+      value: this.parseAddressValue(address.replace(/-/g, ':')),
+      zone: zone || null
+    };
+  }
+
+  /**
+   * Valida endereço sem prefixo e retorna seu valor
+   */
+  parseAddressValue(address) {
+    const validation = this.ipv6Utils.validateIPv6(address);
+    if (!validation.valid || validation.prefix !== null) {
+      throw new Error(`Endereço inválido: ${address}`);
+    }
+    return this.ipv6Utils.ipv6ToBigInt(validation.expanded);
+  }
+
+  /**
+   * Aceita BigInt ou endereço textual
+   */
+  toValue(value) {
+    return typeof value === 'bigint' ? value : this.ipv6Utils.ipv6ToBigInt(value);
+  }
+}
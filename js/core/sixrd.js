@@ -0,0 +1,154 @@
+/**
+ * 6rd Calculator - Cálculo de prefixos delegados IPv6 Rapid Deployment (RFC 5969)
+ * Deriva o prefixo do cliente a partir do IPv4 e vice-versa
+ */
+
+export class SixRDCalculator {
+  constructor() {
+    this.ipv6Utils = null;
+  }
+
+  /**
+   * Inicializa o módulo
+   */
+  async init() {
+    console.log('[SixRDCalculator] Inicializando...');
+    console.log('[SixRDCalculator] ✅ Inicializado');
+    return true;
+  }
+
+  /**
+   * Define referência para IPv6Utils
+   */
+  setIPv6Utils(ipv6Utils) {
+    this.ipv6Utils = ipv6Utils;
+  }
+
+  /**
+   * Valida os parâmetros do domínio 6rd
+   * @param {Object} domain - { prefix: '2001:db8::/32', ipv4MaskLen: 0, domainIPv4: '192.0.2.1' }
+   */
+  parseDomain(domain) {
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+
+    const validation = this.ipv6Utils.validateIPv6(domain.prefix || '');
+    if (!validation.valid) {
+      throw new Error(`Prefixo 6rd inválido: ${validation.error}`);
+    }
+
+    if (validation.prefix === null) {
+      throw new Error('Informe o comprimento do prefixo 6rd (ex.: 2001:db8::/32)');
+    }
+
+    const ipv4MaskLen = parseInt(domain.ipv4MaskLen, 10);
+    if (!Number.isInteger(ipv4MaskLen) || ipv4MaskLen < 0 || ipv4MaskLen > 32) {
+      throw new Error('IPv4MaskLen deve estar entre 0 e 32');
+    }
+
+    const prefixLength = validation.prefix;
+    const suffixBits = 32 - ipv4MaskLen;
+    const delegatedLength = prefixLength + suffixBits;
+
+    if (delegatedLength > 64) {
+      throw new Error(`Comprimento combinado /${delegatedLength} (/${prefixLength} + ${suffixBits} bits de IPv4) excede /64`);
+    }
+
+    const domainIPv4 = domain.domainIPv4 ? domain.domainIPv4.trim() : '';
+
+    return {
+      network: this.ipv6Utils.ipv6ToBigInt(validation.expanded) & this.ipv6Utils.calculateNetworkMask(prefixLength),
+      prefixLength: prefixLength,
+      ipv4MaskLen: ipv4MaskLen,
+      suffixBits: suffixBits,
+      delegatedLength: delegatedLength,
+      domainIPv4: domainIPv4 ? this.ipv6Utils.ipv4ToBigInt(domainIPv4) : null
+    };
+  }
+
+  /**
+   * Calcula o prefixo delegado a partir do IPv4 do cliente
+   */
+  calculateDelegatedPrefix(domain, customerIPv4) {
+    const params = this.parseDomain(domain);
+    const ipv4 = this.ipv6Utils.ipv4ToBigInt(customerIPv4.trim());
+    const commonMask = this.getIPv4CommonMask(params.ipv4MaskLen);
+
+    if (params.domainIPv4 !== null && (ipv4 & commonMask) !== (params.domainIPv4 & commonMask)) {
+      throw new Error(`IPv4 ${customerIPv4} fora do domínio 6rd (${params.ipv4MaskLen} bits comuns diferentes)`);
+    }
+
+    const suffix = ipv4 & ((1n << BigInt(params.suffixBits)) - 1n);
+    const delegated = params.network | (suffix << BigInt(128 - params.delegatedLength));
+
+    return this.buildResult(params, delegated, ipv4, suffix);
+  }
+
+  /**
+   * Deriva o IPv4 do cliente a partir de um endereço/prefixo dentro do domínio 6rd
+   */
+  extractIPv4(domain, address) {
+    const params = this.parseDomain(domain);
+
+    if (params.ipv4MaskLen > 0 && params.domainIPv4 === null) {
+      throw new Error('Informe um IPv4 do domínio (ex.: BR) para reconstruir os bits comuns');
+    }
+
+    const value = this.ipv6Utils.ipv6ToBigInt(address.split('/')[0]);
+    if ((value & this.ipv6Utils.calculateNetworkMask(params.prefixLength)) !== params.network) {
+      throw new Error('Endereço fora do prefixo 6rd');
+    }
+
+    const suffix = (value >> BigInt(128 - params.delegatedLength)) & ((1n << BigInt(params.suffixBits)) - 1n);
+    const common = params.domainIPv4 === null ? 0n : params.domainIPv4 & this.getIPv4CommonMask(params.ipv4MaskLen);
+    const delegated = value & this.ipv6Utils.calculateNetworkMask(params.delegatedLength);
+
+    return this.buildResult(params, delegated, common | suffix, suffix);
+  }
+
+  /**
+   * Máscara dos bits IPv4 comuns a todo o domínio
+   */
+  getIPv4CommonMask(ipv4MaskLen) {
+    return ipv4MaskLen === 0 ? 0n : (((1n << BigInt(ipv4MaskLen)) - 1n) << BigInt(32 - ipv4MaskLen));
+  }
+
+  /**
+   * Monta resultado com prefixo delegado e layout de bits
+   */
+  buildResult(params, delegated, ipv4, suffix) {
+    const delegatedAddress = this.ipv6Utils.compressAddress(this.ipv6Utils.bigIntToIPv6(delegated));
+
+    return {
+      delegatedPrefix: `${delegatedAddress}/${params.delegatedLength}`,
+      delegatedLength: params.delegatedLength,
+      ipv4: this.ipv6Utils.bigIntToIPv4(ipv4),
+      subnetBits: 64 - params.delegatedLength,
+      layout: this.buildLayout(params, delegated, suffix)
+    };
+  }
+
+  /**
+   * Descreve o layout de bits: prefixo 6rd | sufixo IPv4 | sub-rede | IID
+   */
+  buildLayout(params, delegated, suffix) {
+    const binary = delegated.toString(2).padStart(128, '0');
+    const segments = [
+      { label: 'Prefixo 6rd', start: 0, length: params.prefixLength },
+      { label: 'Sufixo IPv4', start: params.prefixLength, length: params.suffixBits },
+      { label: 'Sub-rede', start: params.delegatedLength, length: 64 - params.delegatedLength },
+      { label: 'Interface ID', start: 64, length: 64 }
+    ];
+
+    return segments
+      .filter(segment => segment.length > 0)
+      .map(segment => ({
+        ...segment,
+        end: segment.start + segment.length - 1,
+        bits: segment.label === 'Sufixo IPv4' ?
+          suffix.toString(2).padStart(segment.length, '0') :
+          binary.slice(segment.start, segment.start + segment.length)
+      }));
+  }
+}
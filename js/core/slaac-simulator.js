@@ -0,0 +1,206 @@
+/**
+ * SLAAC Simulator - Endereços que um host formaria a partir de um RA
+ * EUI-64 legado (RFC 4291), estável opaco (RFC 7217) e temporários (RFC 8981)
+ */
+
+export class SLAACSimulator {
+  constructor() {
+    this.ipv6Utils = null;
+    this.addressGenerator = null;
+
+    // Valores padrão da RFC 8981, seção 3.8 (segundos)
+    this.TEMP_VALID_LIFETIME = 2 * 86400;
+    this.TEMP_PREFERRED_LIFETIME = 86400;
+    this.MAX_DESYNC_FACTOR = 0.4 * this.TEMP_PREFERRED_LIFETIME;
+    this.TEMP_IDGEN_RETRIES = 3;
+    this.REGEN_ADVANCE = 2 + this.TEMP_IDGEN_RETRIES; // DupAddrDetectTransmits = 1, RetransTimer = 1 s
+    this.MAX_TEMPORARY = 24;
+  }
+
+  /**
+   * Inicializa o módulo
+   */
+  async init() {
+    console.log('[SLAACSimulator] Inicializando...');
+    console.log('[SLAACSimulator] ✅ Inicializado');
+    return true;
+  }
+
+  /**
+   * Define referência para IPv6Utils
+   */
+  setIPv6Utils(ipv6Utils) {
+    this.ipv6Utils = ipv6Utils;
+  }
+
+  /**
+   * Define referência para AddressGenerator (F() da RFC 7217 e função de hash)
+   */
+  setAddressGenerator(addressGenerator) {
+    this.addressGenerator = addressGenerator;
+  }
+
+  /**
+   * Simula os três tipos de endereço SLAAC para o prefixo anunciado
+   * @param {Object} options - { prefix, mac, netIface, networkId, dadCounter, secret, hash, temporaryCount, start, desyncFactor }
+   */
+  async simulate(options = {}) {
+    if (!this.ipv6Utils || !this.addressGenerator) {
+      throw new Error('IPv6Utils ou AddressGenerator não disponível');
+    }
+
+    const prefix = this.parsePrefix(options.prefix);
+
+    if (!options.secret) {
+      throw new Error('Informe a chave secreta (secret_key)');
+    }
+
+    const dadCounter = parseInt(options.dadCounter ?? 0, 10);
+    if (!Number.isInteger(dadCounter) || dadCounter < 0 || dadCounter > 255) {
+      throw new Error('DAD_Counter deve estar entre 0 e 255');
+    }
+
+    const temporaryCount = parseInt(options.temporaryCount ?? 3, 10);
+    if (!Number.isInteger(temporaryCount) || temporaryCount < 1 || temporaryCount > this.MAX_TEMPORARY) {
+      throw new Error(`Quantidade de temporários deve estar entre 1 e ${this.MAX_TEMPORARY}`);
+    }
+
+    const params = {
+      netIface: (options.netIface || '').trim(),
+      networkId: (options.networkId || '').trim(),
+      secret: options.secret,
+      hash: options.hash || this.addressGenerator.DEFAULT_HASH
+    };
+
+    return {
+      prefix: prefix.cidr,
+      hash: typeof params.hash === 'function' ? 'personalizada' : params.hash,
+      eui64: options.mac ? this.buildEUI64(prefix, options.mac) : null,
+      stable: await this.buildStable(prefix, params, dadCounter),
+      temporary: await this.buildTemporary(prefix, params, temporaryCount, options)
+    };
+  }
+
+  /**
+   * Endereço EUI-64 modificado (SLAAC legado)
+   */
+  buildEUI64(prefix, mac) {
+    const iid = this.ipv6Utils.macToInterfaceId(mac);
+    return {
+      ...this.buildAddress(prefix, iid),
+      mac: this.ipv6Utils.formatMAC(this.ipv6Utils.parseMAC(mac))
+    };
+  }
+
+  /**
+   * IID estável opaco; IIDs reservados incrementam o DAD_Counter (RFC 7217, seção 5)
+   */
+  async buildStable(prefix, params, dadCounter) {
+    // DAD_Counter ocupa um byte na entrada de F(): não pode passar de 255
+    const lastCounter = Math.min(dadCounter + this.addressGenerator.IDGEN_RETRIES, 255);
+
+    for (let counter = dadCounter; counter <= lastCounter; counter++) {
+      const iid = await this.addressGenerator.computeStableInterfaceId(prefix.network, { ...params, dadCounter: counter });
+      if (!this.ipv6Utils.getReservedInterfaceId(iid)) {
+        return { ...this.buildAddress(prefix, iid), dadCounter: counter };
+      }
+    }
+
+    throw new Error('Não foi possível gerar IID estável fora da faixa reservada');
+  }
+
+  /**
+   * Sequência de IIDs temporários com ciclo de vida (RFC 8981, seções 3.3.2 e 3.4)
+   * RID = F(Net_Iface, Network_ID, Time, DAD_Counter, secret_key)
+   */
+  async buildTemporary(prefix, params, count, options) {
+    const encoder = new TextEncoder();
+    const desyncFactor = options.desyncFactor ?? Math.floor(this.randomFraction() * this.MAX_DESYNC_FACTOR);
+    const preferredLifetime = this.TEMP_PREFERRED_LIFETIME - desyncFactor;
+    const interval = preferredLifetime - this.REGEN_ADVANCE;
+    const start = options.start ? options.start.getTime() : Date.now();
+    const addresses = [];
+
+    for (let index = 0; index < count; index++) {
+      const createdAt = start + index * interval * 1000;
+      let iid = null;
+
+      for (let dadCounter = 0; dadCounter <= this.TEMP_IDGEN_RETRIES && iid === null; dadCounter++) {
+        const candidate = await this.addressGenerator.digestToInterfaceId([
+          encoder.encode(params.netIface),
+          encoder.encode(params.networkId),
+          this.toBytes(BigInt(createdAt), 8),
+          [dadCounter],
+          encoder.encode(params.secret)
+        ], params.hash);
+
+        if (!this.ipv6Utils.getReservedInterfaceId(candidate)) {
+          iid = candidate;
+        }
+      }
+
+      if (iid === null) {
+        throw new Error('Não foi possível gerar IID temporário fora da faixa reservada');
+      }
+
+      addresses.push({
+        index: index + 1,
+        ...this.buildAddress(prefix, iid),
+        createdAt: new Date(createdAt).toISOString(),
+        preferredUntil: new Date(createdAt + preferredLifetime * 1000).toISOString(),
+        validUntil: new Date(createdAt + this.TEMP_VALID_LIFETIME * 1000).toISOString()
+      });
+    }
+
+    return {
+      desyncFactor: desyncFactor,
+      preferredLifetime: preferredLifetime,
+      validLifetime: this.TEMP_VALID_LIFETIME,
+      regenerateEvery: interval,
+      addresses: addresses
+    };
+  }
+
+  /**
+   * Prefixo do RA: SLAAC só forma endereços com prefixo /64 (RFC 4862, seção 5.5.3)
+   */
+  parsePrefix(prefix) {
+    const text = (prefix || '').trim();
+    const validation = this.ipv6Utils.validateIPv6(text.includes('/') ? text : `${text}/64`);
+    if (!validation.valid) {
+      throw new Error(`Prefixo inválido: ${validation.error}`);
+    }
+
+    if (validation.prefix !== 64) {
+      throw new Error(`SLAAC exige prefixo /64 (recebido /${validation.prefix})`);
+    }
+
+    const network = this.ipv6Utils.ipv6ToBigInt(validation.expanded) & this.ipv6Utils.calculateNetworkMask(64);
+    return { network: network, cidr: this.ipv6Utils.formatCIDR(network, 64) };
+  }
+
+  /**
+   * Combina prefixo e IID
+   */
+  buildAddress(prefix, iid) {
+    const expanded = this.ipv6Utils.bigIntToIPv6(prefix.network | iid);
+    return {
+      address: this.ipv6Utils.compressAddress(expanded),
+      interfaceId: expanded.split(':').slice(4).join(':')
+    };
+  }
+
+  /**
+   * Fração aleatória em [0, 1) para o DESYNC_FACTOR
+   */
+  randomFraction() {
+    return crypto.getRandomValues(new Uint32Array(1))[0] / 0x100000000;
+  }
+
+  /**
+   * Converte inteiro em lista de bytes (big-endian)
+   */
+  toBytes(value, length) {
+    return Array.from({ length }, (_, i) => Number((value >> BigInt((length - 1 - i) * 8)) & 0xffn));
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * ULA Generator - Prefixos Unique Local /48 (RFC 4193, seção 3.2.2)
+ * Global ID = 40 bits inferiores do SHA-1(timestamp NTP + EUI-64 ou ID da máquina)
+ */
+
+export class ULAGenerator {
+  constructor() {
+    this.ipv6Utils = null;
+    this.overlapEngine = null;
+
+    this.STORAGE_KEY = 'ipv6-checker-ula-registry';
+    this.ULA_PREFIX = 0xfdn;      // fc00::/7 com bit L = 1
+    this.NTP_EPOCH_OFFSET = 2208988800n; // segundos entre 1900 e 1970
+    this.MAX_ATTEMPTS = 8;
+  }
+
+  /**
+   * Inicializa o módulo
+   */
+  async init() {
+    console.log('[ULAGenerator] Inicializando...');
+    console.log('[ULAGenerator] ✅ Inicializado');
+    return true;
+  }
+
+  /**
+   * Define referência para IPv6Utils
+   */
+  setIPv6Utils(ipv6Utils) {
+    this.ipv6Utils = ipv6Utils;
+  }
+
+  /**
+   * Define referência para OverlapEngine (novos ULAs são comparados com os salvos)
+   */
+  setOverlapEngine(overlapEngine) {
+    this.overlapEngine = overlapEngine;
+  }
+
+  /**
+   * Gera prefixo ULA /48; repete com novo timestamp se colidir com um ULA salvo
+   * @param {Object} options - { identifier: MAC, EUI-64 ou ID da máquina; date: Date }
+   */
+  async generate(options = {}) {
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+
+    const identifier = this.parseIdentifier(options.identifier);
+    const start = options.date ? options.date.getTime() : Date.now();
+
+    for (let attempt = 0; attempt < this.MAX_ATTEMPTS; attempt++) {
+      const result = await this.computePrefix(new Date(start + attempt), identifier);
+      if (result.conflicts.length === 0) {
+        return { ...result, attempts: attempt + 1 };
+      }
+    }
+
+    throw new Error(`Não foi possível gerar um ULA inédito em ${this.MAX_ATTEMPTS} tentativas`);
+  }
+
+  /**
+   * Calcula o Global ID para um timestamp e identificador
+   */
+  async computePrefix(date, identifier) {
+    const timestamp = this.toNTPTimestamp(date);
+    const key = new Uint8Array([...this.toBytes(timestamp, 8), ...identifier.bytes]);
+    const digest = new Uint8Array(await this.sha1(key));
+
+    const globalId = digest.slice(-5).reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+    const network = ((this.ULA_PREFIX << 40n) | globalId) << 80n;
+    const prefix = `${this.ipv6Utils.compressAddress(this.ipv6Utils.bigIntToIPv6(network))}/48`;
+
+    return {
+      prefix: prefix,
+      globalId: globalId.toString(16).padStart(10, '0'),
+      inputs: {
+        timestamp: date.toISOString(),
+        ntpTimestamp: timestamp.toString(16).padStart(16, '0'),
+        identifierType: identifier.type,
+        identifier: identifier.value
+      },
+      digest: this.toHex(digest),
+      conflicts: this.checkAgainstSaved(prefix)
+    };
+  }
+
+  /**
+   * Timestamp NTP de 64 bits: segundos desde 1900 (32 bits) + fração (32 bits)
+   */
+  toNTPTimestamp(date) {
+    const milliseconds = BigInt(date.getTime());
+    const seconds = milliseconds / 1000n + this.NTP_EPOCH_OFFSET;
+    const fraction = ((milliseconds % 1000n) << 32n) / 1000n;
+    return (seconds << 32n) | fraction;
+  }
+
+  /**
+   * MAC ou EUI-64 vira identificador EUI-64 modificado (RFC 4291, Apêndice A);
+   * qualquer outro texto é um ID da máquina; vazio gera 64 bits aleatórios
+   */
+  parseIdentifier(input) {
+    const text = (input || '').trim();
+
+    if (!text) {
+      const bytes = crypto.getRandomValues(new Uint8Array(8));
+      return { type: 'random', value: this.toHex(bytes), bytes: [...bytes] };
+    }
+
+    try {
+      const eui64 = this.ipv6Utils.macToInterfaceId(text);
+      const bytes = this.toBytes(eui64, 8);
+      return { type: 'eui64', value: this.toHex(bytes).match(/.{2}/g).join(':'), bytes: bytes };
+    } catch (error) {
+      return { type: 'machine-id', value: text, bytes: [...new TextEncoder().encode(text)] };
+    }
+  }
+
+  /**
+   * SHA-1 via Web Crypto
+   */
+  async sha1(bytes) {
+    if (!globalThis.crypto?.subtle) {
+      throw new Error('Web Crypto (SHA-1) indisponível neste contexto');
+    }
+    return crypto.subtle.digest('SHA-1', bytes);
+  }
+
+  /**
+   * Lista os ULAs salvos
+   */
+  getSaved() {
+    try {
+      const saved = localStorage.getItem(this.STORAGE_KEY);
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.warn('[ULAGenerator] Erro ao carregar ULAs salvos:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Salva ULA gerado com uma nota de identificação do site
+   */
+  save(result, note = '') {
+    const conflicts = this.checkAgainstSaved(result.prefix);
+    if (conflicts.length > 0) {
+      throw new Error(`${result.prefix} já está registrado (${conflicts[0].note || conflicts[0].prefix})`);
+    }
+
+    const entry = {
+      prefix: result.prefix,
+      globalId: result.globalId,
+      note: note.trim(),
+      inputs: result.inputs,
+      savedAt: new Date().toISOString()
+    };
+
+    this.persist([...this.getSaved(), entry]);
+    return entry;
+  }
+
+  /**
+   * Remove ULA salvo
+   */
+  remove(prefix) {
+    this.persist(this.getSaved().filter(entry => entry.prefix !== prefix));
+  }
+
+  /**
+   * ULAs salvos que se sobrepõem ao prefixo informado
+   */
+  checkAgainstSaved(prefix) {
+    if (!this.overlapEngine) {
+      return [];
+    }
+
+    return this.getSaved().filter(entry => this.overlapEngine.checkOverlap(prefix, entry.prefix).hasOverlap);
+  }
+
+  /**
+   * Grava a lista de ULAs no localStorage
+   */
+  persist(entries) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries));
+    } catch (error) {
+      throw new Error('Não foi possível salvar no armazenamento local: ' + error.message);
+    }
+  }
+
+  /**
+   * Converte inteiro em lista de bytes (big-endian)
+   */
+  toBytes(value, length) {
+    return Array.from({ length }, (_, i) => Number((value >> BigInt((length - 1 - i) * 8)) & 0xffn));
+  }
+
+  /**
+   * Bytes em hexadecimal contínuo
+   */
+  toHex(bytes) {
+    return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
@@ -234,15 +234,17 @@ export class OverlapChecker {
     }
 
     try {
-      // Usar IPv6Utils para validação
-      const validation = this.ipv6Utils.validateIPv6(value);
+      // Usar IPv6Utils para validação (intervalos "início - fim" também são aceitos)
+      const validation = this.ipv6Utils.isRange(value) ?
+        this.validateRange(value) :
+        this.validatePrefixInput(value);
       
       if (validation.valid) {
         this.showFieldSuccess(input, validationIcon, errorElement, validation);
         this.updateFieldState(fieldType, true);
       } else {
         if (!isInitial) {
-          this.showFieldError(input, validationIcon, errorElement, 'Formato IPv6 inválido');
+          this.showFieldError(input, validationIcon, errorElement, validation.error, validation.diagnostics);
         }
         this.updateFieldState(fieldType, false);
       }
@@ -254,6 +256,41 @@ export class OverlapChecker {
     }
   }
 
+  /**
+   * Valida prefixo aplicando o modo de bits de host configurado
+   */
+  validatePrefixInput(value) {
+    const validation = this.ipv6Utils.validateIPv6(value);
+    if (!validation.valid) {
+      return validation;
+    }
+
+    try {
+      const { warning } = this.ipv6Utils.parseCIDR(value);
+      if (warning) {
+        return {
+          ...validation,
+          recommendations: [{ type: 'warning', message: warning }, ...(validation.recommendations || [])]
+        };
+      }
+      return validation;
+    } catch (error) {
+      return { valid: false, error: error.message, diagnostics: [] };
+    }
+  }
+
+  /**
+   * Valida intervalo no formato do resultado de validateIPv6
+   */
+  validateRange(value) {
+    try {
+      this.ipv6Utils.parseRange(value);
+      return { valid: true, recommendations: [] };
+    } catch (error) {
+      return { valid: false, error: error.message, diagnostics: [] };
+    }
+  }
+
   /**
    * Reset do estado visual do campo
    */
@@ -289,14 +326,46 @@ export class OverlapChecker {
   /**
    * Mostra estado de erro do campo
    */
-  showFieldError(input, validationIcon, errorElement, message) {
+  showFieldError(input, validationIcon, errorElement, message, diagnostics = []) {
     input.classList.add('invalid');
     if (validationIcon) {
       validationIcon.className = 'validation-icon fas fa-times-circle error';
     }
-    if (errorElement) {
+    if (!errorElement) return;
+
+    errorElement.style.color = '#ef4444';
+
+    if (diagnostics.length === 0) {
       errorElement.textContent = message;
-      errorElement.style.color = '#ef4444';
+      return;
+    }
+
+    // Destacar o trecho exato do erro no valor digitado
+    const diagnostic = diagnostics[0];
+    const value = input.value;
+    const offset = diagnostic.offset + value.indexOf(value.trim());
+    const before = value.slice(0, offset);
+    const marked = value.slice(offset, offset + diagnostic.length);
+    const after = value.slice(offset + diagnostic.length);
+    const extra = diagnostics.length > 1 ? ` (+${diagnostics.length - 1})` : '';
+
+    errorElement.innerHTML = `
+      <span>${this.escapeHtml(diagnostic.message)}${extra}</span>
+      <code class="error-context">${this.escapeHtml(before)}<mark>${this.escapeHtml(marked) || '&nbsp;'}</mark>${this.escapeHtml(after)}</code>
+      ${diagnostic.suggestion ? `
+        <button type="button" class="error-suggestion" title="Aplicar correção sugerida">
+          <i class="fas fa-magic"></i> <code>${this.escapeHtml(diagnostic.suggestion)}</code>
+        </button>
+      ` : ''}
+    `;
+
+    const suggestionBtn = errorElement.querySelector('.error-suggestion');
+    if (suggestionBtn) {
+      suggestionBtn.addEventListener('click', () => {
+        input.value = diagnostic.suggestion;
+        this.handleRealTimeValidation(input === this.elements.wanInput ? 'wan' : 'lan');
+        input.focus();
+      });
     }
   }
 
@@ -578,6 +647,28 @@ export class OverlapChecker {
       </div>
     `;
 
+    // Redes efetivamente comparadas (após normalização dos bits de host)
+    if (result.details?.network1 && result.details?.network2) {
+      detailsHTML += `
+        <div class="detail-section">
+          <h4><i class="fas fa-network-wired"></i> Redes Comparadas</h4>
+          <div class="detail-grid">
+            ${this.renderComparedNetwork('WAN', result.details.network1)}
+            ${this.renderComparedNetwork('LAN', result.details.network2)}
+          </div>
+          ${(result.warnings || []).map(warning => `
+            <div class="recommendation-item warning">
+              <div class="recommendation-header">
+                <i class="fas fa-exclamation-triangle"></i>
+                <strong>Bits de host</strong>
+              </div>
+              <p>${warning}</p>
+            </div>
+          `).join('')}
+        </div>
+      `;
+    }
+
     // Detalhes específicos de sobreposição
     if (result.hasOverlap && result.details?.analysis?.details) {
       const analysis = result.details.analysis.details;
@@ -630,6 +721,29 @@ export class OverlapChecker {
     this.elements.resultDetails.style.display = 'block';
   }
 
+  /**
+   * Renderiza a rede normalizada usada na comparação
+   */
+  renderComparedNetwork(label, network) {
+    const kinds = {
+      network: 'Prefixo de rede',
+      interface: 'Endereço de interface',
+      address: 'Endereço (/128)',
+      range: 'Intervalo'
+    };
+
+    const value = network.isRange ?
+      `${network.compressed.network} - ${network.compressed.broadcast}` :
+      `${network.compressed.network}/${network.prefix}`;
+
+    return `
+      <div class="detail-item">
+        <span class="detail-label">${label} (${kinds[network.inputKind] || 'Prefixo'}):</span>
+        <span class="detail-value"><code>${value}</code></span>
+      </div>
+    `;
+  }
+
   /**
    * Obtém ícone para tipo de recomendação
    */
@@ -853,6 +967,29 @@ export class OverlapChecker {
         if (data.rfc) {
           html += `<div class="detail-row"><span>RFC:</span> <span>${data.rfc.rfc} (${data.rfc.type})</span></div>`;
         }
+        if (data.nat64) {
+          html += data.nat64.ipv4 ?
+            `<div class="detail-row"><span>IPv4 (NAT64):</span> <span><code>${data.nat64.ipv4}</code> via ${data.nat64.prefix}</span></div>` :
+            `<div class="detail-row"><span>IPv4 (NAT64):</span> <span>${data.nat64.error}</span></div>`;
+        }
+        if (data.teredo) {
+          html += `<div class="detail-row"><span>Servidor Teredo:</span> <span><code>${data.teredo.server}</code></span></div>`;
+          html += `<div class="detail-row"><span>Cliente Teredo:</span> <span><code>${data.teredo.clientIPv4}:${data.teredo.clientPort}</code></span></div>`;
+          html += `<div class="detail-row"><span>Flags:</span> <span>${data.teredo.flags.hex} (${data.teredo.flags.cone ? 'NAT cone' : 'NAT não-cone'})</span></div>`;
+        }
+        if (data.sixToFour) {
+          html += `<div class="detail-row"><span>IPv4 (6to4):</span> <span><code>${data.sixToFour.ipv4}</code></span></div>`;
+          html += `<div class="detail-row"><span>SLA ID:</span> <span><code>${data.sixToFour.slaIdHex}</code> (site ${data.sixToFour.sitePrefix})</span></div>`;
+        }
+        if (data.eui64) {
+          const origin = data.eui64.universal ? 'universal' : 'local';
+          html += `<div class="detail-row"><span>MAC (EUI-64):</span> <span><code>${data.eui64.mac}</code> (${origin})</span></div>`;
+        }
+        // Prefixo de rede (IID zerado) não tem padrão de host a classificar
+        if (data.interfaceId && (data.prefix === null || data.interfaceId.iid !== '0000:0000:0000:0000')) {
+          const iid = data.interfaceId;
+          html += `<div class="detail-row"><span>Padrão do IID:</span> <span>${iid.label} (${Math.round(iid.confidence * 100)}%)${iid.scannable ? ' · previsível' : ''}</span></div>`;
+        }
         html += '</div>';
         
         if (data.recommendations?.length > 0) {
@@ -950,6 +1087,15 @@ export class OverlapChecker {
     this.notify('Formulário limpo', 'info', 1500);
   }
 
+  /**
+   * Escape HTML para prevenir XSS
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   /**
    * Notificação (interface com sistema de notificações)
    */
@@ -305,7 +305,25 @@ export class TabsManager {
             ></textarea>
             <div class="input-help">
               <i class="fas fa-info-circle"></i>
-              Insira um prefixo IPv6 por linha (formato CIDR)
+              Insira um prefixo IPv6 por linha (formato CIDR ou intervalo "início - fim"); para Padrões de IID, endereços de host
+            </div>
+          </div>
+
+          <div class="input-group">
+            <label for="multiMaxPrefixes" class="input-label">
+              <i class="fas fa-compress-arrows-alt"></i>
+              Máximo de Prefixos na Sumarização (opcional)
+            </label>
+            <input 
+              type="number" 
+              id="multiMaxPrefixes" 
+              class="input-field"
+              min="1"
+              placeholder="Vazio = sumarização exata"
+            >
+            <div class="input-help">
+              <i class="fas fa-info-circle"></i>
+              Com limite, blocos vizinhos são agregados cobrindo espaço extra
             </div>
           </div>
           
@@ -314,6 +332,10 @@ export class TabsManager {
               <i class="fas fa-search"></i>
               <span>Analisar Todos</span>
             </button>
+            <button id="analyzeIIDBtn" class="btn-secondary">
+              <i class="fas fa-fingerprint"></i>
+              <span>Padrões de IID</span>
+            </button>
             <button id="importFileBtn" class="btn-secondary">
               <i class="fas fa-file-import"></i>
               <span>Importar Arquivo</span>
@@ -407,6 +429,54 @@ export class TabsManager {
             <i class="fas fa-exchange-alt"></i>
             Conversão
           </button>
+          <button class="calc-tab" data-calc="reverse">
+            <i class="fas fa-undo-alt"></i>
+            DNS Reverso
+          </button>
+          <button class="calc-tab" data-calc="ndp">
+            <i class="fas fa-broadcast-tower"></i>
+            NDP
+          </button>
+          <button class="calc-tab" data-calc="nat64">
+            <i class="fas fa-random"></i>
+            NAT64
+          </button>
+          <button class="calc-tab" data-calc="sixrd">
+            <i class="fas fa-project-diagram"></i>
+            6rd
+          </button>
+          <button class="calc-tab" data-calc="map">
+            <i class="fas fa-map-signs"></i>
+            MAP-E/T
+          </button>
+          <button class="calc-tab" data-calc="nptv6">
+            <i class="fas fa-exchange-alt"></i>
+            NPTv6
+          </button>
+          <button class="calc-tab" data-calc="walk">
+            <i class="fas fa-arrows-alt-h"></i>
+            Navegar
+          </button>
+          <button class="calc-tab" data-calc="range">
+            <i class="fas fa-ruler-horizontal"></i>
+            Intervalos
+          </button>
+          <button class="calc-tab" data-calc="mask">
+            <i class="fas fa-mask"></i>
+            Máscaras
+          </button>
+          <button class="calc-tab" data-calc="ula">
+            <i class="fas fa-fingerprint"></i>
+            ULA
+          </button>
+          <button class="calc-tab" data-calc="slaac">
+            <i class="fas fa-user-secret"></i>
+            SLAAC
+          </button>
+          <button class="calc-tab" data-calc="arith">
+            <i class="fas fa-plus-square"></i>
+            Aritmética
+          </button>
           <button class="calc-tab" data-calc="subnet">
             <i class="fas fa-network-wired"></i>
             Sub-redes
@@ -422,15 +492,32 @@ export class TabsManager {
             <div class="input-group">
               <label for="calcInput" class="input-label">
                 <i class="fas fa-keyboard"></i>
-                Endereço IPv6
+                Endereço IPv6 (qualquer representação)
               </label>
               <input 
                 type="text" 
                 id="calcInput" 
                 class="input-field"
-                placeholder="Ex.: 2001:db8::1"
+                placeholder="Ex.: 2001:db8::1, fe80::1%eth0, [fe80::1%25eth0], base85, decimal ou 2001-db8--1.ipv6-literal.net"
               >
             </div>
+
+            <div class="input-group">
+              <label for="calcInputFormat" class="input-label">
+                <i class="fas fa-code"></i>
+                Formato da Entrada
+              </label>
+              <select id="calcInputFormat" class="input-field">
+                <option value="" selected>Detectar automaticamente</option>
+                <option value="ipv6">IPv6</option>
+                <option value="binary">Binário</option>
+                <option value="decimal">Decimal</option>
+                <option value="hex">Hexadecimal</option>
+                <option value="base85">Base85 (RFC 1924)</option>
+                <option value="uri">URI (RFC 6874)</option>
+                <option value="unc">UNC (ipv6-literal.net)</option>
+              </select>
+            </div>
             
             <div class="action-section">
               <button id="convertBtn" class="btn-primary">
@@ -442,602 +529,2803 @@ export class TabsManager {
             <div class="conversion-results" id="conversionResults" style="display: none;">
               <div class="result-item">
                 <label>Expandido:</label>
-                <code id="expandedResult"></code>
+                <span class="result-value">
+                  <code id="expandedResult"></code>
+                  <button class="copy-value-btn" data-copy-from="expandedResult" title="Copiar" aria-label="Copiar expandido">
+                    <i class="far fa-copy"></i>
+                  </button>
+                </span>
               </div>
               <div class="result-item">
                 <label>Comprimido:</label>
-                <code id="compressedResult"></code>
+                <span class="result-value">
+                  <code id="compressedResult"></code>
+                  <button class="copy-value-btn" data-copy-from="compressedResult" title="Copiar" aria-label="Copiar comprimido">
+                    <i class="far fa-copy"></i>
+                  </button>
+                </span>
               </div>
               <div class="result-item">
                 <label>Tipo:</label>
                 <code id="typeResult"></code>
               </div>
+              <div id="representationResults"></div>
             </div>
           </div>
 
-          <div id="calc-subnet" class="calc-panel">
+          <div id="calc-reverse" class="calc-panel">
             <div class="input-group">
-              <label for="subnetCalcInput" class="input-label">
-                <i class="fas fa-network-wired"></i>
-                Rede CIDR
+              <label for="reverseInput" class="input-label">
+                <i class="fas fa-undo-alt"></i>
+                Endereço, Prefixo ou Nome ip6.arpa
               </label>
               <input 
                 type="text" 
-                id="subnetCalcInput" 
+                id="reverseInput" 
                 class="input-field"
-                placeholder="Ex.: 2001:db8::/48"
+                placeholder="Ex.: 2001:db8::1, 2001:db8::/46 ou 8.b.d.0.1.0.0.2.ip6.arpa"
               >
             </div>
             
             <div class="action-section">
-              <button id="calcSubnetBtn" class="btn-primary">
+              <button id="reverseBtn" class="btn-primary">
+                <i class="fas fa-undo-alt"></i>
+                Converter
+              </button>
+            </div>
+            
+            <div class="reverse-results" id="reverseResults" style="display: none;"></div>
+          </div>
+
+          <div id="calc-ndp" class="calc-panel">
+            <div class="input-group">
+              <label for="ndpInput" class="input-label">
+                <i class="fas fa-broadcast-tower"></i>
+                Endereço Unicast ou MAC 33:33
+              </label>
+              <input 
+                type="text" 
+                id="ndpInput" 
+                class="input-field"
+                placeholder="Ex.: 2001:db8::21a:2bff:fe3c:4d5e ou 33:33:ff:3c:4d:5e"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="ndpRole" class="input-label">
+                <i class="fas fa-server"></i>
+                Função no Link
+              </label>
+              <select id="ndpRole" class="input-field">
+                <option value="host">Host</option>
+                <option value="router">Roteador</option>
+              </select>
+            </div>
+            
+            <div class="action-section">
+              <button id="ndpBtn" class="btn-primary">
                 <i class="fas fa-calculator"></i>
                 Calcular
               </button>
             </div>
             
-            <div class="subnet-results" id="subnetResults" style="display: none;">
-              <div class="result-item">
-                <label>Endereço de Rede:</label>
-                <code id="networkResult"></code>
-              </div>
+            <div class="ndp-results" id="ndpResults" style="display: none;"></div>
+          </div>
+
+          <div id="calc-nat64" class="calc-panel">
+            <div class="input-group">
+              <label for="nat64Prefix" class="input-label">
+                <i class="fas fa-network-wired"></i>
+                Prefixo NAT64 (/32, /40, /48, /56, /64 ou /96)
+              </label>
+              <input 
+                type="text" 
+                id="nat64Prefix" 
+                class="input-field"
+                value="64:ff9b::/96"
+                placeholder="Ex.: 64:ff9b::/96 ou 2001:db8:122:344::/64"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="nat64Input" class="input-label">
+                <i class="fas fa-keyboard"></i>
+                IPv4 (sintetizar) ou IPv6 (extrair)
+              </label>
+              <input 
+                type="text" 
+                id="nat64Input" 
+                class="input-field"
+                placeholder="Ex.: 192.0.2.33 ou 64:ff9b::c000:221"
+              >
+            </div>
+            
+            <div class="action-section">
+              <button id="nat64Btn" class="btn-primary">
+                <i class="fas fa-exchange-alt"></i>
+                Converter
+              </button>
+            </div>
+            
+            <div class="nat64-results" id="nat64Results" style="display: none;">
               <div class="result-item">
-                <label>Primeiro Host:</label>
-                <code id="firstHostResult"></code>
+                <label>Endereço IPv6:</label>
+                <code id="nat64AddressResult"></code>
               </div>
               <div class="result-item">
-                <label>Último Host:</label>
-                <code id="lastHostResult"></code>
+                <label>IPv4 Embutido:</label>
+                <code id="nat64IPv4Result"></code>
               </div>
               <div class="result-item">
-                <label>Total de Endereços:</label>
-                <code id="totalAddressesResult"></code>
+                <label>Prefixo:</label>
+                <code id="nat64PrefixResult"></code>
               </div>
             </div>
           </div>
 
-          <div id="calc-random" class="calc-panel">
+          <div id="calc-sixrd" class="calc-panel">
             <div class="input-group">
-              <label for="randomPrefix" class="input-label">
-                <i class="fas fa-random"></i>
-                Prefixo Base
+              <label for="sixrdPrefix" class="input-label">
+                <i class="fas fa-network-wired"></i>
+                Prefixo 6rd
               </label>
-              <select id="randomPrefix" class="input-field">
-                <option value="2001:db8::/32">2001:db8::/32 (Documentação)</option>
-                <option value="fc00::/7">fc00::/7 (Unique Local)</option>
-                <option value="fe80::/10">fe80::/10 (Link-Local)</option>
-              </select>
+              <input 
+                type="text" 
+                id="sixrdPrefix" 
+                class="input-field"
+                placeholder="Ex.: 2001:db8::/32"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="sixrdMaskLen" class="input-label">
+                <i class="fas fa-sliders-h"></i>
+                IPv4MaskLen
+              </label>
+              <input 
+                type="number" 
+                id="sixrdMaskLen" 
+                class="input-field"
+                min="0"
+                max="32"
+                value="0"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="sixrdDomainIPv4" class="input-label">
+                <i class="fas fa-server"></i>
+                IPv4 do Domínio (BR, opcional)
+              </label>
+              <input 
+                type="text" 
+                id="sixrdDomainIPv4" 
+                class="input-field"
+                placeholder="Ex.: 192.0.2.1"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="sixrdInput" class="input-label">
+                <i class="fas fa-keyboard"></i>
+                IPv4 do Cliente ou Endereço IPv6
+              </label>
+              <input 
+                type="text" 
+                id="sixrdInput" 
+                class="input-field"
+                placeholder="Ex.: 192.0.2.33 ou 2001:db8:c000:221::1"
+              >
             </div>
             
             <div class="action-section">
-              <button id="generateRandomBtn" class="btn-primary">
-                <i class="fas fa-dice"></i>
-                Gerar Endereço Aleatório
+              <button id="sixrdBtn" class="btn-primary">
+                <i class="fas fa-calculator"></i>
+                Calcular
               </button>
             </div>
             
-            <div class="random-results" id="randomResults" style="display: none;">
-              <div class="result-item">
-                <label>Endereço Gerado:</label>
-                <code id="randomAddressResult"></code>
-              </div>
-            </div>
+            <div class="sixrd-results" id="sixrdResults" style="display: none;"></div>
           </div>
-        </div>
-      </div>
-    `;
-  }
 
-  /**
-   * Gera conteúdo para validação
-   */
-  generateValidationContent() {
-    return `
-      <div class="validation-container">
-        <div class="validation-form">
-          <div class="input-group">
-            <label for="validationInput" class="input-label">
-              <i class="fas fa-shield-alt"></i>
-              Endereço ou Prefixo IPv6
-            </label>
-            <input 
-              type="text" 
-              id="validationInput" 
-              class="input-field"
-              placeholder="Ex.: 2001:db8::1/64"
-            >
-          </div>
-          
-          <div class="validation-options">
-            <label class="checkbox-label">
-              <input type="checkbox" id="rfcCheck" checked>
-              <span>Verificação RFC</span>
-            </label>
-            <label class="checkbox-label">
-              <input type="checkbox" id="securityCheck">
-              <span>Análise de Segurança</span>
-            </label>
-            <label class="checkbox-label">
-              <input type="checkbox" id="routabilityCheck">
-              <span>Verificação de Roteabilidade</span>
-            </label>
-          </div>
-          
-          <div class="action-section">
-            <button id="validateBtn" class="btn-primary btn-large">
-              <i class="fas fa-check-circle"></i>
-              <span>Validar Endereço</span>
-            </button>
-          </div>
-        </div>
+          <div id="calc-map" class="calc-panel">
+            <div class="input-group">
+              <label for="mapRuleIPv6" class="input-label">
+                <i class="fas fa-network-wired"></i>
+                Prefixo IPv6 da Regra (BMR)
+              </label>
+              <input 
+                type="text" 
+                id="mapRuleIPv6" 
+                class="input-field"
+                placeholder="Ex.: 2001:db8::/40"
+              >
+            </div>
 
-        <div id="validationResults" class="validation-results" style="display: none;">
-          <div class="validation-header">
-            <h3>Resultado da Validação</h3>
-          </div>
-          <div class="validation-content" id="validationContent"></div>
-        </div>
-      </div>
-    `;
-  }
+            <div class="input-group">
+              <label for="mapRuleIPv4" class="input-label">
+                <i class="fas fa-network-wired"></i>
+                Prefixo IPv4 da Regra
+              </label>
+              <input 
+                type="text" 
+                id="mapRuleIPv4" 
+                class="input-field"
+                placeholder="Ex.: 192.0.2.0/24"
+              >
+            </div>
 
-  /**
-   * Gera conteúdo padrão para abas não implementadas
-   */
-  generateDefaultContent(tabId) {
-    return `
-      <div class="default-tab-content">
-        <div class="coming-soon">
-          <i class="fas fa-construction"></i>
-          <h3>Em Desenvolvimento</h3>
-          <p>A funcionalidade "${tabId}" está sendo desenvolvida e estará disponível em breve.</p>
-        </div>
-      </div>
-    `;
-  }
+            <div class="input-group">
+              <label for="mapEaBits" class="input-label">
+                <i class="fas fa-sliders-h"></i>
+                EA-bits
+              </label>
+              <input 
+                type="number" 
+                id="mapEaBits" 
+                class="input-field"
+                min="0"
+                max="48"
+                placeholder="Ex.: 16"
+              >
+            </div>
 
-  /**
-   * Mostra estado de erro
-   */
-  showErrorState(container, errorMessage) {
-    container.innerHTML = `
-      <div class="tab-content-placeholder">
-        <div class="error-content">
-          <i class="fas fa-exclamation-triangle"></i>
-          <h3>Erro ao carregar</h3>
-          <p>${errorMessage}</p>
-          <button onclick="location.reload()" class="btn-secondary">
-            <i class="fas fa-refresh"></i>
-            Recarregar
-          </button>
-        </div>
-      </div>
-    `;
-  }
+            <div class="input-group">
+              <label for="mapPsidOffset" class="input-label">
+                <i class="fas fa-sliders-h"></i>
+                PSID Offset
+              </label>
+              <input 
+                type="number" 
+                id="mapPsidOffset" 
+                class="input-field"
+                min="0"
+                max="15"
+                value="6"
+              >
+            </div>
 
-  /**
-   * Adiciona observador para mudanças de aba
-   */
-  addObserver(callback) {
-    this.observers.add(callback);
+            <div class="input-group">
+              <label for="mapInput" class="input-label">
+                <i class="fas fa-keyboard"></i>
+                Prefixo Delegado do CE ou IPv4:Porta
+              </label>
+              <input 
+                type="text" 
+                id="mapInput" 
+                class="input-field"
+                placeholder="Ex.: 2001:db8:12:3400::/56 ou 192.0.2.18:1232"
+              >
+            </div>
+            
+            <div class="action-section">
+              <button id="mapBtn" class="btn-primary">
+                <i class="fas fa-calculator"></i>
+                Calcular
+              </button>
+            </div>
+            
+            <div class="map-results" id="mapResults" style="display: none;"></div>
+          </div>
+
+          <div id="calc-nptv6" class="calc-panel">
+            <div class="input-group">
+              <label for="nptInternal" class="input-label">
+                <i class="fas fa-home"></i>
+                Prefixo Interno (/48 ou menor)
+              </label>
+              <input 
+                type="text" 
+                id="nptInternal" 
+                class="input-field"
+                placeholder="Ex.: fd01:203:405::/48"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="nptExternal" class="input-label">
+                <i class="fas fa-globe"></i>
+                Prefixo Externo
+              </label>
+              <input 
+                type="text" 
+                id="nptExternal" 
+                class="input-field"
+                placeholder="Ex.: 2001:db8:1::/48"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="nptAddress" class="input-label">
+                <i class="fas fa-keyboard"></i>
+                Endereço a Traduzir (opcional)
+              </label>
+              <input 
+                type="text" 
+                id="nptAddress" 
+                class="input-field"
+                placeholder="Ex.: fd01:203:405:1::1234"
+              >
+            </div>
+            
+            <div class="action-section">
+              <button id="nptBtn" class="btn-primary">
+                <i class="fas fa-calculator"></i>
+                Calcular
+              </button>
+            </div>
+            
+            <div class="nptv6-results" id="nptResults" style="display: none;"></div>
+          </div>
+
+          <div id="calc-walk" class="calc-panel">
+            <div class="input-group">
+              <label for="walkInput" class="input-label">
+                <i class="fas fa-arrows-alt-h"></i>
+                Prefixo
+              </label>
+              <input 
+                type="text" 
+                id="walkInput" 
+                class="input-field"
+                placeholder="Ex.: 2001:db8:0:5::/64"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="walkParentLength" class="input-label">
+                <i class="fas fa-sitemap"></i>
+                Comprimento do Bloco Pai
+              </label>
+              <input 
+                type="number" 
+                id="walkParentLength" 
+                class="input-field"
+                min="0"
+                max="128"
+                placeholder="Ex.: 48"
+              >
+            </div>
+            
+            <div class="action-section">
+              <button id="walkPrevBtn" class="btn-secondary">
+                <i class="fas fa-chevron-left"></i>
+                Anterior
+              </button>
+              <button id="walkBtn" class="btn-primary">
+                <i class="fas fa-calculator"></i>
+                Calcular
+              </button>
+              <button id="walkNextBtn" class="btn-secondary">
+                Próximo
+                <i class="fas fa-chevron-right"></i>
+              </button>
+            </div>
+            
+            <div class="walk-results" id="walkResults" style="display: none;"></div>
+          </div>
+
+          <div id="calc-range" class="calc-panel">
+            <div class="input-group">
+              <label for="rangeInput" class="input-label">
+                <i class="fas fa-ruler-horizontal"></i>
+                Intervalo ou Lista de Prefixos
+              </label>
+              <input 
+                type="text" 
+                id="rangeInput" 
+                class="input-field"
+                placeholder="Ex.: 2001:db8::100 - 2001:db8::1ff:ffff ou 2001:db8::/64, 2001:db8:0:1::/64"
+              >
+            </div>
+            
+            <div class="action-section">
+              <button id="rangeBtn" class="btn-primary">
+                <i class="fas fa-exchange-alt"></i>
+                Converter
+              </button>
+            </div>
+            
+            <div class="range-results" id="rangeResults" style="display: none;"></div>
+          </div>
+
+          <div id="calc-mask" class="calc-panel">
+            <div class="input-group">
+              <label for="maskInput" class="input-label">
+                <i class="fas fa-mask"></i>
+                Endereço e Máscara
+              </label>
+              <input 
+                type="text" 
+                id="maskInput" 
+                class="input-field"
+                placeholder="Ex.: 2001:db8::1 ffff:ffff:ffff:ffff:: ou 2001:db8::1/ffff:ffff::"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="maskType" class="input-label">
+                <i class="fas fa-exchange-alt"></i>
+                Tipo de Máscara
+              </label>
+              <select id="maskType" class="input-field">
+                <option value="netmask">Máscara de rede (bits 1 comparados)</option>
+                <option value="wildcard">Wildcard / inversa (bits 1 ignorados)</option>
+              </select>
+            </div>
+
+            <div class="input-group">
+              <label for="maskTest" class="input-label">
+                <i class="fas fa-vial"></i>
+                Endereço para Testar (opcional)
+              </label>
+              <input 
+                type="text" 
+                id="maskTest" 
+                class="input-field"
+                placeholder="Ex.: 2001:db8::abcd"
+              >
+            </div>
+            
+            <div class="action-section">
+              <button id="maskBtn" class="btn-primary">
+                <i class="fas fa-calculator"></i>
+                Calcular
+              </button>
+            </div>
+            
+            <div class="mask-results" id="maskResults" style="display: none;"></div>
+          </div>
+
+          <div id="calc-ula" class="calc-panel">
+            <div class="input-group">
+              <label for="ulaIdentifier" class="input-label">
+                <i class="fas fa-microchip"></i>
+                MAC, EUI-64 ou ID da Máquina (opcional)
+              </label>
+              <input 
+                type="text" 
+                id="ulaIdentifier" 
+                class="input-field"
+                placeholder="Ex.: 00:11:22:33:44:55 ou número de série"
+              >
+              <div class="input-help">
+                <i class="fas fa-info-circle"></i>
+                Global ID = 40 bits inferiores do SHA-1(timestamp NTP + identificador) (RFC 4193); vazio usa 64 bits aleatórios
+              </div>
+            </div>
+
+            <div class="input-group">
+              <label for="ulaNote" class="input-label">
+                <i class="fas fa-sticky-note"></i>
+                Nota (site ou finalidade)
+              </label>
+              <input 
+                type="text" 
+                id="ulaNote" 
+                class="input-field"
+                placeholder="Ex.: Filial São Paulo"
+              >
+            </div>
+            
+            <div class="action-section">
+              <button id="ulaBtn" class="btn-primary">
+                <i class="fas fa-dice"></i>
+                Gerar Prefixo ULA
+              </button>
+              <button id="ulaSaveBtn" class="btn-secondary" disabled>
+                <i class="fas fa-save"></i>
+                Salvar
+              </button>
+            </div>
+            
+            <div class="ula-results" id="ulaResults" style="display: none;"></div>
+            <div class="ula-results" id="ulaSaved" style="display: none;"></div>
+          </div>
+
+          <div id="calc-slaac" class="calc-panel">
+            <div class="input-group">
+              <label for="slaacPrefix" class="input-label">
+                <i class="fas fa-bullhorn"></i>
+                Prefixo do RA (/64)
+              </label>
+              <input 
+                type="text" 
+                id="slaacPrefix" 
+                class="input-field"
+                placeholder="Ex.: 2001:db8:1:2::/64"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="slaacMac" class="input-label">
+                <i class="fas fa-microchip"></i>
+                MAC da Interface
+              </label>
+              <input 
+                type="text" 
+                id="slaacMac" 
+                class="input-field"
+                placeholder="Ex.: 00:11:22:33:44:55"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="slaacInterface" class="input-label">
+                <i class="fas fa-ethernet"></i>
+                Interface (Net_Iface)
+              </label>
+              <input 
+                type="text" 
+                id="slaacInterface" 
+                class="input-field"
+                placeholder="Ex.: eth0"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="slaacNetworkId" class="input-label">
+                <i class="fas fa-wifi"></i>
+                Network_ID (opcional)
+              </label>
+              <input 
+                type="text" 
+                id="slaacNetworkId" 
+                class="input-field"
+                placeholder="Ex.: SSID da rede"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="slaacDadCounter" class="input-label">
+                <i class="fas fa-redo"></i>
+                DAD_Counter
+              </label>
+              <input 
+                type="number" 
+                id="slaacDadCounter" 
+                class="input-field"
+                min="0"
+                max="255"
+                value="0"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="slaacSecret" class="input-label">
+                <i class="fas fa-key"></i>
+                Chave Secreta (secret_key)
+              </label>
+              <input 
+                type="password" 
+                id="slaacSecret" 
+                class="input-field"
+                autocomplete="off"
+              >
+            </div>
+
+            <div class="input-group">
+              <label for="slaacHash" class="input-label">
+                <i class="fas fa-hashtag"></i>
+                Função F()
+              </label>
+              <select id="slaacHash" class="input-field">
+                <option value="SHA-256">SHA-256 (recomendada)</option>
+                <option value="SHA-1">SHA-1</option>
+                <option value="SHA-384">SHA-384</option>
+                <option value="SHA-512">SHA-512</option>
+              </select>
+            </div>
+
+            <div class="input-group">
+              <label for="slaacTempCount" class="input-label">
+                <i class="fas fa-history"></i>
+                Endereços Temporários na Sequência
+              </label>
+              <input 
+                type="number" 
+                id="slaacTempCount" 
+                class="input-field"
+                min="1"
+                max="24"
+                value="3"
+              >
+            </div>
+            
+            <div class="action-section">
+              <button id="slaacBtn" class="btn-primary">
+                <i class="fas fa-calculator"></i>
+                Simular
+              </button>
+            </div>
+            
+            <div class="slaac-results" id="slaacResults" style="display: none;"></div>
+          </div>
+
+          <div id="calc-arith" class="calc-panel">
+            <div class="input-group">
+              <label for="arithInput" class="input-label">
+                <i class="fas fa-plus-square"></i>
+                Expressão
+              </label>
+              <input 
+                type="text" 
+                id="arithInput" 
+                class="input-field"
+                placeholder="Ex.: 2001:db8::1 + 0x500"
+              >
+              <div class="input-help">
+                <i class="fas fa-info-circle"></i>
+                "endereço + N", "endereço - N" (decimal ou 0x), "a - b" (distância) ou "common(a, b)"
+              </div>
+            </div>
+            
+            <div class="action-section">
+              <button id="arithBtn" class="btn-primary">
+                <i class="fas fa-equals"></i>
+                Calcular
+              </button>
+            </div>
+            
+            <div class="arith-results" id="arithResults" style="display: none;"></div>
+          </div>
+
+          <div id="calc-subnet" class="calc-panel">
+            <div class="input-group">
+              <label for="subnetCalcInput" class="input-label">
+                <i class="fas fa-network-wired"></i>
+                Rede CIDR
+              </label>
+              <input 
+                type="text" 
+                id="subnetCalcInput" 
+                class="input-field"
+                placeholder="Ex.: 2001:db8::/48"
+              >
+            </div>
+            
+            <div class="action-section">
+              <button id="calcSubnetBtn" class="btn-primary">
+                <i class="fas fa-calculator"></i>
+                Calcular
+              </button>
+            </div>
+            
+            <div class="subnet-results" id="subnetResults" style="display: none;">
+              <div class="result-item">
+                <label>Endereço de Rede:</label>
+                <code id="networkResult"></code>
+              </div>
+              <div class="result-item">
+                <label>Primeiro Host:</label>
+                <code id="firstHostResult"></code>
+              </div>
+              <div class="result-item">
+                <label>Último Host:</label>
+                <code id="lastHostResult"></code>
+              </div>
+              <div class="result-item">
+                <label>Total de Endereços:</label>
+                <code id="totalAddressesResult"></code>
+              </div>
+            </div>
+          </div>
+
+          <div id="calc-random" class="calc-panel">
+            <div class="input-group">
+              <label for="randomPrefix" class="input-label">
+                <i class="fas fa-random"></i>
+                Prefixo Base
+              </label>
+              <input 
+                type="text" 
+                id="randomPrefix" 
+                class="input-field"
+                list="randomPrefixPresets"
+                value="2001:db8::/64"
+                placeholder="Ex.: 2001:db8:1::/64"
+              >
+              <datalist id="randomPrefixPresets">
+                <option value="2001:db8::/64">Documentação</option>
+                <option value="fe80::/64">Link-Local</option>
+              </datalist>
+              <div class="input-help">
+                <i class="fas fa-info-circle"></i>
+                Qualquer prefixo; <a href="#" id="randomUseULA">usar um novo ULA (RFC 4193)</a>
+              </div>
+            </div>
+
+            <div class="input-group">
+              <label for="randomMode" class="input-label">
+                <i class="fas fa-cogs"></i>
+                Modo
+              </label>
+              <select id="randomMode" class="input-field">
+                <option value="random">Aleatório (crypto.getRandomValues)</option>
+                <option value="sequential">Sequencial a partir de um deslocamento</option>
+                <option value="low-byte">Low-byte (::1 a ::ff por /64)</option>
+                <option value="eui64">EUI-64 a partir de lista de MACs</option>
+                <option value="rfc7217">Estável opaco (RFC 7217)</option>
+              </select>
+            </div>
+
+            <div class="input-group" data-random-modes="random sequential low-byte rfc7217">
+              <label for="randomCount" class="input-label">
+                <i class="fas fa-hashtag"></i>
+                Quantidade
+              </label>
+              <input 
+                type="number" 
+                id="randomCount" 
+                class="input-field"
+                min="1"
+                max="10000"
+                value="10"
+              >
+            </div>
+
+            <div class="input-group" data-random-modes="sequential" style="display: none;">
+              <label for="randomOffset" class="input-label">
+                <i class="fas fa-step-forward"></i>
+                Deslocamento Inicial
+              </label>
+              <input 
+                type="text" 
+                id="randomOffset" 
+                class="input-field"
+                placeholder="Ex.: 1, 256 ou 0x100"
+              >
+            </div>
+
+            <div class="input-group" data-random-modes="eui64 rfc7217" style="display: none;">
+              <label for="randomList" class="input-label">
+                <i class="fas fa-list"></i>
+                MACs (EUI-64) ou Interfaces (RFC 7217), um por linha
+              </label>
+              <textarea 
+                id="randomList" 
+                class="input-field multi-textarea"
+                rows="4"
+                placeholder="00:11:22:33:44:55&#10;00:11:22:33:44:56"
+              ></textarea>
+              <div class="input-help">
+                <i class="fas fa-info-circle"></i>
+                No modo RFC 7217 a lista é opcional: vazia gera host-1 a host-N
+              </div>
+            </div>
+
+            <div class="input-group" data-random-modes="rfc7217" style="display: none;">
+              <label for="randomSecret" class="input-label">
+                <i class="fas fa-key"></i>
+                Chave Secreta (secret_key)
+              </label>
+              <input 
+                type="password" 
+                id="randomSecret" 
+                class="input-field"
+                autocomplete="off"
+              >
+            </div>
+            
+            <div class="action-section">
+              <button id="generateRandomBtn" class="btn-primary">
+                <i class="fas fa-dice"></i>
+                Gerar Endereços
+              </button>
+              <button id="exportRandomBtn" class="btn-secondary" disabled>
+                <i class="fas fa-file-export"></i>
+                Exportar Lista
+              </button>
+            </div>
+            
+            <div class="random-results" id="randomResults" style="display: none;"></div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Gera conteúdo para validação
+   */
+  generateValidationContent() {
+    return `
+      <div class="validation-container">
+        <div class="validation-form">
+          <div class="input-group">
+            <label for="validationInput" class="input-label">
+              <i class="fas fa-shield-alt"></i>
+              Endereço ou Prefixo IPv6
+            </label>
+            <input 
+              type="text" 
+              id="validationInput" 
+              class="input-field"
+              placeholder="Ex.: 2001:db8::1/64"
+            >
+          </div>
+          
+          <div class="validation-options">
+            <label class="checkbox-label">
+              <input type="checkbox" id="rfcCheck" checked>
+              <span>Verificação RFC</span>
+            </label>
+            <label class="checkbox-label">
+              <input type="checkbox" id="securityCheck">
+              <span>Análise de Segurança</span>
+            </label>
+            <label class="checkbox-label">
+              <input type="checkbox" id="routabilityCheck">
+              <span>Verificação de Roteabilidade</span>
+            </label>
+            <label class="checkbox-label">
+              <input type="checkbox" id="canonicalCheck" checked>
+              <span>Forma Canônica (RFC 5952)</span>
+            </label>
+          </div>
+          
+          <div class="action-section">
+            <button id="validateBtn" class="btn-primary btn-large">
+              <i class="fas fa-check-circle"></i>
+              <span>Validar Endereço</span>
+            </button>
+          </div>
+        </div>
+
+        <div id="validationResults" class="validation-results" style="display: none;">
+          <div class="validation-header">
+            <h3>Resultado da Validação</h3>
+          </div>
+          <div class="validation-content" id="validationContent"></div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Gera conteúdo padrão para abas não implementadas
+   */
+  generateDefaultContent(tabId) {
+    return `
+      <div class="default-tab-content">
+        <div class="coming-soon">
+          <i class="fas fa-construction"></i>
+          <h3>Em Desenvolvimento</h3>
+          <p>A funcionalidade "${tabId}" está sendo desenvolvida e estará disponível em breve.</p>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Mostra estado de erro
+   */
+  showErrorState(container, errorMessage) {
+    container.innerHTML = `
+      <div class="tab-content-placeholder">
+        <div class="error-content">
+          <i class="fas fa-exclamation-triangle"></i>
+          <h3>Erro ao carregar</h3>
+          <p>${errorMessage}</p>
+          <button onclick="location.reload()" class="btn-secondary">
+            <i class="fas fa-refresh"></i>
+            Recarregar
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Adiciona observador para mudanças de aba
+   */
+  addObserver(callback) {
+    this.observers.add(callback);
+  }
+
+  /**
+   * Remove observador
+   */
+  removeObserver(callback) {
+    this.observers.delete(callback);
+  }
+
+  /**
+   * Notifica observadores sobre mudança de aba
+   */
+  notifyObservers(oldTab, newTab) {
+    this.observers.forEach(callback => {
+      try {
+        callback({ oldTab, newTab, activeTab: this.activeTab });
+      } catch (error) {
+        console.error('[TabsManager] Erro em observador:', error);
+      }
+    });
+  }
+
+  /**
+   * Obtém aba ativa
+   */
+  getActiveTab() {
+    return this.activeTab;
+  }
+
+  /**
+   * Obtém informações de uma aba
+   */
+  getTabInfo(tabId) {
+    return this.tabs.get(tabId);
+  }
+
+  /**
+   * Obtém lista de todas as abas
+   */
+  getAllTabs() {
+    return Array.from(this.tabs.entries()).map(([id, tab]) => ({
+      id,
+      title: tab.title,
+      loaded: tab.loaded,
+      active: id === this.activeTab
+    }));
+  }
+
+  /**
+   * Verifica se uma aba está carregada
+   */
+  isTabLoaded(tabId) {
+    return this.loadedTabs.has(tabId);
+  }
+
+  /**
+   * Força carregamento de uma aba
+   */
+  async forceLoadTab(tabId) {
+    if (!this.tabs.has(tabId)) {
+      throw new Error(`Aba não encontrada: ${tabId}`);
+    }
+
+    // Remover da lista de carregadas para forçar reload
+    this.loadedTabs.delete(tabId);
+    
+    // Carregar novamente
+    await this.loadTabContent(tabId);
+  }
+}
+
+// ===== FEATURES DAS ABAS =====
+
+/**
+ * Escape HTML para prevenir XSS (compartilhado pelas features)
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Feature para Análise Múltipla
+ */
+class MultiAnalysisFeature {
+  async initialize(container) {
+    console.log('[MultiAnalysisFeature] Inicializando...');
+    
+    this.ipv6Utils = window.app ? window.app.getModule('ipv6Utils') : null;
+    this.overlapEngine = window.app ? window.app.getModule('overlapEngine') : null;
+    
+    // Obter elementos
+    this.elements = {
+      textarea: container.querySelector('#multiPrefixes'),
+      maxPrefixes: container.querySelector('#multiMaxPrefixes'),
+      analyzeBtn: container.querySelector('#analyzeMultiBtn'),
+      iidBtn: container.querySelector('#analyzeIIDBtn'),
+      clearBtn: container.querySelector('#clearMultiBtn'),
+      results: container.querySelector('#multiResults'),
+      summary: container.querySelector('#multiSummary'),
+      content: container.querySelector('#multiContent')
+    };
+
+    // Configurar event listeners
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    if (this.elements.analyzeBtn) {
+      this.elements.analyzeBtn.addEventListener('click', () => this.analyzeMultiple());
+    }
+
+    if (this.elements.iidBtn) {
+      this.elements.iidBtn.addEventListener('click', () => this.analyzeInterfaceIds());
+    }
+
+    if (this.elements.clearBtn) {
+      this.elements.clearBtn.addEventListener('click', () => this.clearAll());
+    }
+  }
+
+  analyzeMultiple() {
+    const text = this.elements.textarea?.value?.trim();
+    if (!text) {
+      this.showNotification('Insira pelo menos um prefixo para análise', 'warning');
+      return;
+    }
+
+    const prefixes = text.split('\n').map(line => line.trim()).filter(line => line);
+    console.log('Analisando prefixos:', prefixes);
+
+    let batch = null;
+    let summarization = null;
+    if (this.overlapEngine) {
+      try {
+        batch = this.overlapEngine.analyzeBatch(prefixes);
+        summarization = this.overlapEngine.summarizePrefixes(prefixes, {
+          maxPrefixes: this.elements.maxPrefixes?.value
+        });
+      } catch (error) {
+        this.showNotification('Erro na análise: ' + error.message, 'error');
+      }
+    }
+
+    this.showResults(prefixes, batch, summarization);
+  }
+
+  showResults(prefixes, batch = null, summarization = null) {
+    if (!this.elements.results) return;
+
+    this.elements.results.style.display = 'block';
+    
+    if (this.elements.summary) {
+      this.elements.summary.textContent = batch ?
+        `${prefixes.length} prefixos analisados · ${batch.conflicts.length} conflito(s)` :
+        `${prefixes.length} prefixos analisados`;
+    }
+
+    if (this.elements.content) {
+      let html = '<div class="analysis-grid">';
+      
+      prefixes.forEach((prefix, index) => {
+        const isValid = batch ? batch.results[index].valid : this.validatePrefix(prefix);
+        const message = batch ? (batch.results[index].error || batch.results[index].warning) : null;
+        html += `
+          <div class="analysis-card ${isValid ? 'success' : 'error'}">
+            <h4>Prefixo ${index + 1}</h4>
+            <code>${escapeHtml(prefix)}</code>
+            <div class="status">
+              <i class="fas ${isValid ? 'fa-check-circle' : 'fa-times-circle'}"></i>
+              ${isValid ? 'Válido' : 'Inválido'}
+            </div>
+            ${message ? `<div class="input-help">${escapeHtml(message)}</div>` : ''}
+          </div>
+        `;
+      });
+      
+      html += '</div>';
+
+      if (batch?.sets && !batch.sets.overlap.isEmpty()) {
+        html += this.renderOverlapSet(batch.sets.overlap);
+      }
+
+      if (summarization) {
+        html += this.renderSummarization(summarization);
+      }
+
+      this.elements.content.innerHTML = html;
+    }
+
+    this.showNotification('Análise concluída!', 'success');
+  }
+
+  /**
+   * Resume os padrões de IID dos endereços da lista (RFC 7707)
+   */
+  analyzeInterfaceIds() {
+    const text = this.elements.textarea?.value?.trim();
+    if (!text) {
+      this.showNotification('Insira pelo menos um endereço para análise', 'warning');
+      return;
+    }
+
+    if (!this.ipv6Utils) {
+      this.showNotification('IPv6Utils não disponível', 'error');
+      return;
+    }
+
+    const addresses = text.split('\n').map(line => line.trim()).filter(line => line);
+    const summary = this.ipv6Utils.summarizeInterfaceIds(addresses);
+
+    this.elements.results.style.display = 'block';
+
+    if (this.elements.summary) {
+      this.elements.summary.textContent =
+        `${summary.hosts} host(s) analisados · ${summary.scannable.length} previsível(is) (${summary.scannablePercentage}%)`;
+    }
+
+    if (this.elements.content) {
+      this.elements.content.innerHTML = this.renderInterfaceIds(summary);
+    }
+
+    this.showNotification('Análise de IIDs concluída!', 'success');
+  }
+
+  renderInterfaceIds(summary) {
+    let html = '<div class="detail-section summarization-section">';
+    html += `<h4><i class="fas fa-fingerprint"></i> Padrões de IID (${summary.hosts} hosts)</h4>`;
+
+    if (summary.kinds.length > 0) {
+      html += '<div class="analysis-grid">';
+      summary.kinds.forEach(kind => {
+        html += `
+          <div class="analysis-card ${kind.scannable ? 'error' : 'success'}">
+            <h4>${kind.label}</h4>
+            <div class="status">
+              <i class="fas ${kind.scannable ? 'fa-eye' : 'fa-user-secret'}"></i>
+              ${kind.count} host(s) · ${Math.round(kind.count / summary.hosts * 100)}%
+            </div>
+          </div>
+        `;
+      });
+      html += '</div>';
+    } else {
+      html += '<p class="input-help">Nenhum endereço de host na lista (prefixos de rede são ignorados)</p>';
+    }
+
+    html += '</div>';
+
+    if (summary.scannable.length > 0) {
+      html += '<div class="detail-section summarization-section">';
+      html += `<h4><i class="fas fa-crosshairs"></i> Hosts Trivialmente Varríveis (${summary.scannable.length})</h4>`;
+      html += '<div class="recommendations-list">';
+
+      summary.scannable.forEach(host => {
+        html += `
+          <div class="recommendation-item warning">
+            <div class="recommendation-header">
+              <i class="fas fa-exclamation-triangle"></i>
+              <strong>${escapeHtml(host.address)}</strong>
+            </div>
+            <p>${host.label} (confiança ${Math.round(host.confidence * 100)}%)${this.describeInterfaceIdDetails(host)}</p>
+          </div>
+        `;
+      });
+
+      html += '</div>';
+      html += '<p class="input-help">Padrões previsíveis reduzem o espaço de busca de uma varredura; prefira IIDs estáveis e opacos (RFC 7217) ou temporários (RFC 8981)</p>';
+      html += '</div>';
+    }
+
+    if (summary.skipped.length > 0) {
+      html += '<div class="detail-section summarization-section">';
+      html += `<h4><i class="fas fa-filter"></i> Entradas Ignoradas (${summary.skipped.length})</h4>`;
+      html += summary.skipped.map(entry => `<p class="input-help"><code>${escapeHtml(entry.input)}</code>: ${escapeHtml(entry.reason)}</p>`).join('');
+      html += '</div>';
+    }
+
+    return html;
+  }
+
+  describeInterfaceIdDetails(host) {
+    const details = host.details;
+    if (details.port !== undefined) return ` · porta ${details.port} (${details.service})`;
+    if (details.ipv4) return ` · IPv4 ${details.ipv4}`;
+    if (details.mac) return ` · MAC ${details.mac}`;
+    if (details.words) return ` · ${details.words.join(', ')}`;
+    if (details.name) return ` · ${details.name}`;
+    return '';
+  }
+
+  renderOverlapSet(overlap) {
+    const cidrs = overlap.toCIDRs();
+    let html = '<div class="detail-section summarization-section">';
+    html += `<h4><i class="fas fa-layer-group"></i> Espaço Sobreposto (${cidrs.length} prefixos)</h4>`;
+    html += '<div class="summary-prefixes">';
+    html += cidrs.map(cidr => `<code>${cidr}</code>`).join('');
+    html += '</div>';
+    html += `<p class="input-help">${overlap.size().toLocaleString()} endereços pertencem a mais de um prefixo</p>`;
+    html += '</div>';
+    return html;
+  }
+
+  renderSummarization(summarization) {
+    const validCount = summarization.input - summarization.invalid.length;
+    let html = '<div class="detail-section summarization-section">';
+    html += `<h4><i class="fas fa-compress-arrows-alt"></i> Sumarização (${validCount} → ${summarization.prefixes.length} prefixos)</h4>`;
+    html += '<div class="summary-prefixes">';
+    html += summarization.prefixes.map(prefix => `<code>${prefix}</code>`).join('');
+    html += '</div>';
+
+    if (summarization.lossy) {
+      html += '<div class="recommendations-list">';
+
+      summarization.aggregations.forEach(aggregation => {
+        html += `
+          <div class="recommendation-item warning">
+            <div class="recommendation-header">
+              <i class="fas fa-exclamation-triangle"></i>
+              <strong>${aggregation.prefix}</strong>
+            </div>
+            <p>Substitui ${aggregation.replaces.join(', ')}</p>
+            <p>Espaço extra: ${BigInt(aggregation.extraAddresses).toLocaleString()} endereços (${aggregation.extraPercentage}% do bloco)</p>
+          </div>
+        `;
+      });
+
+      html += '</div>';
+    } else if (summarization.exact.length < validCount) {
+      html += '<p class="input-help">Lista exata: nenhum endereço adicional é anunciado</p>';
+    }
+
+    html += '</div>';
+    return html;
+  }
+
+  validatePrefix(prefix) {
+    if (this.ipv6Utils) {
+      if (this.ipv6Utils.isRange(prefix)) {
+        try {
+          this.ipv6Utils.parseRange(prefix);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      }
+      return this.ipv6Utils.validateIPv6(prefix.trim()).valid;
+    }
+
+    // Validação simples
+    return prefix.includes('::') || prefix.match(/^[0-9a-fA-F:]+\/\d+$/);
+  }
+
+  clearAll() {
+    if (this.elements.textarea) {
+      this.elements.textarea.value = '';
+    }
+    
+    if (this.elements.results) {
+      this.elements.results.style.display = 'none';
+    }
+
+    this.showNotification('Análise limpa', 'info');
+  }
+
+  showNotification(message, type) {
+    // Usar sistema de notificações global se disponível
+    if (window.app && window.app.getModule('notifications')) {
+      window.app.getModule('notifications').show(message, type);
+    } else {
+      console.log(`[${type.toUpperCase()}] ${message}`);
+    }
+  }
+}
+
+/**
+ * Feature para Planejamento de Rede
+ */
+class PlanningFeature {
+  async initialize(container) {
+    console.log('[PlanningFeature] Inicializando...');
+    
+    this.ipv6Utils = window.app ? window.app.getModule('ipv6Utils') : null;
+    this.PLAN_PREVIEW_LIMIT = 10;
+    
+    this.elements = {
+      parentBlock: container.querySelector('#parentBlock'),
+      subnetSize: container.querySelector('#subnetSize'),
+      generateBtn: container.querySelector('#generatePlanBtn'),
+      results: container.querySelector('#planningResults'),
+      content: container.querySelector('#planContent')
+    };
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    if (this.elements.generateBtn) {
+      this.elements.generateBtn.addEventListener('click', () => this.generatePlan());
+    }
+  }
+
+  generatePlan() {
+    const parentBlock = this.elements.parentBlock?.value?.trim();
+    const subnetSize = this.elements.subnetSize?.value;
+
+    if (!parentBlock) {
+      this.showNotification('Insira um bloco pai válido', 'warning');
+      return;
+    }
+
+    console.log('Gerando plano:', { parentBlock, subnetSize });
+
+    try {
+      this.showPlan(parentBlock, subnetSize);
+    } catch (error) {
+      this.showNotification('Erro ao gerar plano: ' + error.message, 'error');
+    }
+  }
+
+  showPlan(parentBlock, subnetSize) {
+    if (!this.elements.results) return;
+
+    const plan = this.generateSubnets(parentBlock, subnetSize);
+    this.elements.results.style.display = 'block';
+
+    if (this.elements.content) {
+      let html = '<div class="subnets-table">';
+      html += `<div class="table-header">Sub-redes Geradas (${plan.subnets.length} de ${plan.total.toLocaleString()})</div>`;
+      
+      plan.subnets.forEach((subnet, index) => {
+        html += `
+          <div class="subnet-row">
+            <span class="subnet-index">${index + 1}</span>
+            <code class="subnet-cidr">${subnet}</code>
+            <span class="subnet-type">/${subnetSize}</span>
+          </div>
+        `;
+      });
+      
+      html += '</div>';
+      this.elements.content.innerHTML = html;
+    }
+
+    this.showNotification('Plano gerado com sucesso!', 'success');
+  }
+
+  generateSubnets(parentBlock, subnetSize) {
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+
+    const total = this.ipv6Utils.countSubnets(parentBlock, subnetSize);
+    const limit = total < BigInt(this.PLAN_PREVIEW_LIMIT) ? Number(total) : this.PLAN_PREVIEW_LIMIT;
+    const subnets = [];
+    
+    for (let i = 0; i < limit; i++) {
+      subnets.push(this.ipv6Utils.getNthSubnet(parentBlock, subnetSize, i));
+    }
+    
+    return { total, subnets };
+  }
+
+  showNotification(message, type) {
+    if (window.app && window.app.getModule('notifications')) {
+      window.app.getModule('notifications').show(message, type);
+    } else {
+      console.log(`[${type.toUpperCase()}] ${message}`);
+    }
+  }
+}
+
+/**
+ * Feature para Calculadora IPv6
+ */
+class CalculatorFeature {
+  async initialize(container) {
+    console.log('[CalculatorFeature] Inicializando...');
+    
+    this.ipv6Utils = window.app ? window.app.getModule('ipv6Utils') : null;
+    this.sixrd = window.app ? window.app.getModule('sixrd') : null;
+    this.mapCalculator = window.app ? window.app.getModule('mapCalculator') : null;
+    this.nptv6 = window.app ? window.app.getModule('nptv6') : null;
+    this.representations = window.app ? window.app.getModule('representations') : null;
+    this.ulaGenerator = window.app ? window.app.getModule('ulaGenerator') : null;
+    this.addressGenerator = window.app ? window.app.getModule('addressGenerator') : null;
+    this.slaac = window.app ? window.app.getModule('slaac') : null;
+    this.lastULA = null;
+    this.generatedAddresses = [];
+    this.RANDOM_PREVIEW_LIMIT = 256;
+    
+    this.elements = {
+      // Tabs
+      calcTabs: container.querySelectorAll('.calc-tab'),
+      calcPanels: container.querySelectorAll('.calc-panel'),
+      
+      // Converter
+      calcInput: container.querySelector('#calcInput'),
+      calcInputFormat: container.querySelector('#calcInputFormat'),
+      convertBtn: container.querySelector('#convertBtn'),
+      conversionResults: container.querySelector('#conversionResults'),
+      expandedResult: container.querySelector('#expandedResult'),
+      compressedResult: container.querySelector('#compressedResult'),
+      typeResult: container.querySelector('#typeResult'),
+      representationResults: container.querySelector('#representationResults'),
+      
+      // Reverse DNS
+      reverseInput: container.querySelector('#reverseInput'),
+      reverseBtn: container.querySelector('#reverseBtn'),
+      reverseResults: container.querySelector('#reverseResults'),
+      
+      // NDP
+      ndpInput: container.querySelector('#ndpInput'),
+      ndpRole: container.querySelector('#ndpRole'),
+      ndpBtn: container.querySelector('#ndpBtn'),
+      ndpResults: container.querySelector('#ndpResults'),
+      
+      // NAT64
+      nat64Prefix: container.querySelector('#nat64Prefix'),
+      nat64Input: container.querySelector('#nat64Input'),
+      nat64Btn: container.querySelector('#nat64Btn'),
+      nat64Results: container.querySelector('#nat64Results'),
+      nat64AddressResult: container.querySelector('#nat64AddressResult'),
+      nat64IPv4Result: container.querySelector('#nat64IPv4Result'),
+      nat64PrefixResult: container.querySelector('#nat64PrefixResult'),
+      
+      // 6rd
+      sixrdPrefix: container.querySelector('#sixrdPrefix'),
+      sixrdMaskLen: container.querySelector('#sixrdMaskLen'),
+      sixrdDomainIPv4: container.querySelector('#sixrdDomainIPv4'),
+      sixrdInput: container.querySelector('#sixrdInput'),
+      sixrdBtn: container.querySelector('#sixrdBtn'),
+      sixrdResults: container.querySelector('#sixrdResults'),
+      
+      // MAP-E / MAP-T
+      mapRuleIPv6: container.querySelector('#mapRuleIPv6'),
+      mapRuleIPv4: container.querySelector('#mapRuleIPv4'),
+      mapEaBits: container.querySelector('#mapEaBits'),
+      mapPsidOffset: container.querySelector('#mapPsidOffset'),
+      mapInput: container.querySelector('#mapInput'),
+      mapBtn: container.querySelector('#mapBtn'),
+      mapResults: container.querySelector('#mapResults'),
+      
+      // NPTv6
+      nptInternal: container.querySelector('#nptInternal'),
+      nptExternal: container.querySelector('#nptExternal'),
+      nptAddress: container.querySelector('#nptAddress'),
+      nptBtn: container.querySelector('#nptBtn'),
+      nptResults: container.querySelector('#nptResults'),
+      
+      // Prefix walk
+      walkInput: container.querySelector('#walkInput'),
+      walkParentLength: container.querySelector('#walkParentLength'),
+      walkBtn: container.querySelector('#walkBtn'),
+      walkPrevBtn: container.querySelector('#walkPrevBtn'),
+      walkNextBtn: container.querySelector('#walkNextBtn'),
+      walkResults: container.querySelector('#walkResults'),
+      
+      // Ranges
+      rangeInput: container.querySelector('#rangeInput'),
+      rangeBtn: container.querySelector('#rangeBtn'),
+      rangeResults: container.querySelector('#rangeResults'),
+      
+      // Masks
+      maskInput: container.querySelector('#maskInput'),
+      maskType: container.querySelector('#maskType'),
+      maskTest: container.querySelector('#maskTest'),
+      maskBtn: container.querySelector('#maskBtn'),
+      maskResults: container.querySelector('#maskResults'),
+      
+      // ULA
+      ulaIdentifier: container.querySelector('#ulaIdentifier'),
+      ulaNote: container.querySelector('#ulaNote'),
+      ulaBtn: container.querySelector('#ulaBtn'),
+      ulaSaveBtn: container.querySelector('#ulaSaveBtn'),
+      ulaResults: container.querySelector('#ulaResults'),
+      ulaSaved: container.querySelector('#ulaSaved'),
+      
+      // SLAAC
+      slaacPrefix: container.querySelector('#slaacPrefix'),
+      slaacMac: container.querySelector('#slaacMac'),
+      slaacInterface: container.querySelector('#slaacInterface'),
+      slaacNetworkId: container.querySelector('#slaacNetworkId'),
+      slaacDadCounter: container.querySelector('#slaacDadCounter'),
+      slaacSecret: container.querySelector('#slaacSecret'),
+      slaacHash: container.querySelector('#slaacHash'),
+      slaacTempCount: container.querySelector('#slaacTempCount'),
+      slaacBtn: container.querySelector('#slaacBtn'),
+      slaacResults: container.querySelector('#slaacResults'),
+      
+      // Address arithmetic
+      arithInput: container.querySelector('#arithInput'),
+      arithBtn: container.querySelector('#arithBtn'),
+      arithResults: container.querySelector('#arithResults'),
+      
+      // Subnet
+      subnetCalcInput: container.querySelector('#subnetCalcInput'),
+      calcSubnetBtn: container.querySelector('#calcSubnetBtn'),
+      subnetResults: container.querySelector('#subnetResults'),
+      networkResult: container.querySelector('#networkResult'),
+      firstHostResult: container.querySelector('#firstHostResult'),
+      lastHostResult: container.querySelector('#lastHostResult'),
+      totalAddressesResult: container.querySelector('#totalAddressesResult'),
+      
+      // Random
+      randomPrefix: container.querySelector('#randomPrefix'),
+      randomUseULA: container.querySelector('#randomUseULA'),
+      randomMode: container.querySelector('#randomMode'),
+      randomCount: container.querySelector('#randomCount'),
+      randomOffset: container.querySelector('#randomOffset'),
+      randomList: container.querySelector('#randomList'),
+      randomSecret: container.querySelector('#randomSecret'),
+      randomModeFields: container.querySelectorAll('[data-random-modes]'),
+      generateRandomBtn: container.querySelector('#generateRandomBtn'),
+      exportRandomBtn: container.querySelector('#exportRandomBtn'),
+      randomResults: container.querySelector('#randomResults')
+    };
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    // Calculator tabs
+    this.elements.calcTabs.forEach(tab => {
+      tab.addEventListener('click', () => {
+        const calcType = tab.dataset.calc;
+        this.switchCalcTab(calcType);
+      });
+    });
+
+    // Convert button
+    if (this.elements.convertBtn) {
+      this.elements.convertBtn.addEventListener('click', () => this.convertAddress());
+    }
+
+    // Copy buttons of the converter results
+    if (this.elements.conversionResults) {
+      this.elements.conversionResults.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-copy-from]');
+        if (button) this.copyResult(button);
+      });
+    }
+
+    // Reverse DNS button
+    if (this.elements.reverseBtn) {
+      this.elements.reverseBtn.addEventListener('click', () => this.convertReverse());
+    }
+
+    // NDP button
+    if (this.elements.ndpBtn) {
+      this.elements.ndpBtn.addEventListener('click', () => this.calculateNDP());
+    }
+
+    // NAT64 button
+    if (this.elements.nat64Btn) {
+      this.elements.nat64Btn.addEventListener('click', () => this.convertNAT64());
+    }
+
+    // 6rd button
+    if (this.elements.sixrdBtn) {
+      this.elements.sixrdBtn.addEventListener('click', () => this.calculate6rd());
+    }
+
+    // MAP button
+    if (this.elements.mapBtn) {
+      this.elements.mapBtn.addEventListener('click', () => this.calculateMAP());
+    }
+
+    // NPTv6 button
+    if (this.elements.nptBtn) {
+      this.elements.nptBtn.addEventListener('click', () => this.calculateNPTv6());
+    }
+
+    // Prefix walk buttons
+    if (this.elements.walkBtn) {
+      this.elements.walkBtn.addEventListener('click', () => this.walkPrefix(0));
+    }
+
+    if (this.elements.walkPrevBtn) {
+      this.elements.walkPrevBtn.addEventListener('click', () => this.walkPrefix(-1));
+    }
+
+    if (this.elements.walkNextBtn) {
+      this.elements.walkNextBtn.addEventListener('click', () => this.walkPrefix(1));
+    }
+
+    // Range conversion button
+    if (this.elements.rangeBtn) {
+      this.elements.rangeBtn.addEventListener('click', () => this.convertRange());
+    }
+
+    // Mask calculation button
+    if (this.elements.maskBtn) {
+      this.elements.maskBtn.addEventListener('click', () => this.calculateMask());
+    }
+
+    // ULA buttons
+    if (this.elements.ulaBtn) {
+      this.elements.ulaBtn.addEventListener('click', () => this.generateULA());
+    }
+
+    if (this.elements.ulaSaveBtn) {
+      this.elements.ulaSaveBtn.addEventListener('click', () => this.saveULA());
+    }
+
+    if (this.elements.ulaSaved) {
+      this.elements.ulaSaved.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove-ula]');
+        if (button) this.removeULA(button.dataset.removeUla);
+      });
+      this.showSavedULAs();
+    }
+
+    // SLAAC simulation button
+    if (this.elements.slaacBtn) {
+      this.elements.slaacBtn.addEventListener('click', () => this.simulateSLAAC());
+    }
+
+    // Address arithmetic button
+    if (this.elements.arithBtn) {
+      this.elements.arithBtn.addEventListener('click', () => this.calculateArithmetic());
+    }
+
+    // Subnet calculation button
+    if (this.elements.calcSubnetBtn) {
+      this.elements.calcSubnetBtn.addEventListener('click', () => this.calculateSubnet());
+    }
+
+    // Random generation button
+    if (this.elements.generateRandomBtn) {
+      this.elements.generateRandomBtn.addEventListener('click', () => this.generateRandom());
+    }
+
+    if (this.elements.exportRandomBtn) {
+      this.elements.exportRandomBtn.addEventListener('click', () => this.exportGeneratedAddresses());
+    }
+
+    if (this.elements.randomMode) {
+      this.elements.randomMode.addEventListener('change', () => this.updateRandomModeFields());
+    }
+
+    if (this.elements.randomUseULA) {
+      this.elements.randomUseULA.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.useNewULAPrefix();
+      });
+    }
+
+    // Enter key support
+    if (this.elements.calcInput) {
+      this.elements.calcInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.convertAddress();
+      });
+    }
+
+    if (this.elements.reverseInput) {
+      this.elements.reverseInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.convertReverse();
+      });
+    }
+
+    if (this.elements.ndpInput) {
+      this.elements.ndpInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.calculateNDP();
+      });
+    }
+
+    if (this.elements.nat64Input) {
+      this.elements.nat64Input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.convertNAT64();
+      });
+    }
+
+    if (this.elements.sixrdInput) {
+      this.elements.sixrdInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.calculate6rd();
+      });
+    }
+
+    if (this.elements.mapInput) {
+      this.elements.mapInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.calculateMAP();
+      });
+    }
+
+    if (this.elements.nptAddress) {
+      this.elements.nptAddress.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.calculateNPTv6();
+      });
+    }
+
+    if (this.elements.walkInput) {
+      this.elements.walkInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.walkPrefix(0);
+      });
+    }
+
+    if (this.elements.rangeInput) {
+      this.elements.rangeInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.convertRange();
+      });
+    }
+
+    if (this.elements.maskInput) {
+      this.elements.maskInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.calculateMask();
+      });
+    }
+
+    if (this.elements.ulaIdentifier) {
+      this.elements.ulaIdentifier.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.generateULA();
+      });
+    }
+
+    if (this.elements.slaacSecret) {
+      this.elements.slaacSecret.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.simulateSLAAC();
+      });
+    }
+
+    if (this.elements.arithInput) {
+      this.elements.arithInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.calculateArithmetic();
+      });
+    }
+
+    if (this.elements.subnetCalcInput) {
+      this.elements.subnetCalcInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.calculateSubnet();
+      });
+    }
   }
 
-  /**
-   * Remove observador
-   */
-  removeObserver(callback) {
-    this.observers.delete(callback);
+  switchCalcTab(calcType) {
+    // Update tab buttons
+    this.elements.calcTabs.forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.calc === calcType);
+    });
+
+    // Update panels
+    this.elements.calcPanels.forEach(panel => {
+      panel.classList.toggle('active', panel.id === `calc-${calcType}`);
+    });
+  }
+
+  convertAddress() {
+    const address = this.elements.calcInput?.value?.trim();
+    if (!address) {
+      this.showNotification('Insira um endereço IPv6 válido', 'warning');
+      return;
+    }
+
+    try {
+      const result = this.performConversion(address, this.elements.calcInputFormat?.value || null);
+      this.showConversionResults(result);
+
+      if (result.representations?.alternatives.length > 0) {
+        this.showNotification('Entrada ambígua: confira o formato detectado', 'warning');
+      } else {
+        this.showNotification('Conversão realizada!', 'success');
+      }
+    } catch (error) {
+      this.showNotification('Erro na conversão: ' + error.message, 'error');
+    }
+  }
+
+  performConversion(address, format = null) {
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+
+    if (!this.representations) {
+      const validation = this.ipv6Utils.validateIPv6(address);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+
+      return {
+        expanded: validation.expanded,
+        compressed: validation.compressed,
+        type: validation.type,
+        representations: null
+      };
+    }
+
+    const representations = this.representations.getAll(address, format);
+    return {
+      expanded: representations.forms.expanded,
+      compressed: representations.forms.compressed,
+      type: this.ipv6Utils.getAddressType(representations.forms.expanded),
+      representations
+    };
+  }
+
+  showConversionResults(result) {
+    if (this.elements.conversionResults) {
+      this.elements.conversionResults.style.display = 'block';
+    }
+
+    if (this.elements.expandedResult) {
+      this.elements.expandedResult.textContent = result.expanded;
+    }
+
+    if (this.elements.compressedResult) {
+      this.elements.compressedResult.textContent = result.compressed;
+    }
+
+    if (this.elements.typeResult) {
+      this.elements.typeResult.textContent = result.type;
+    }
+
+    if (this.elements.representationResults) {
+      this.elements.representationResults.innerHTML = result.representations ?
+        this.renderRepresentations(result.representations) :
+        '';
+    }
+  }
+
+  renderRepresentations(representations) {
+    const { forms } = representations;
+    const rows = [
+      ['binary', 'Binário (nibbles)', forms.binary],
+      ['binaryGroups', 'Binário (grupos)', forms.binaryGroups],
+      ['decimal', 'Decimal', forms.decimal],
+      ['hex', 'Hexadecimal', forms.hex],
+      ['base85', 'Base85 (RFC 1924)', forms.base85],
+      ['uri', 'URI (RFC 6874)', forms.uri],
+      ['unc', 'UNC (Windows)', forms.unc]
+    ];
+
+    let html = `
+      <div class="result-item">
+        <label>Formato de Entrada:</label>
+        <span>${this.representations.FORMATS[representations.source]}${representations.zone ? ` · zona ${escapeHtml(representations.zone)}` : ''}</span>
+      </div>
+    `;
+
+    if (representations.alternatives.length > 0) {
+      html += `
+        <div class="result-item">
+          <label>Atenção:</label>
+          <span>Também é válido como ${representations.alternatives.map(alternative => `${escapeHtml(alternative.formatName)} (<code>${escapeHtml(alternative.compressed)}</code>)`).join(', ')}; escolha o formato da entrada para confirmar</span>
+        </div>
+      `;
+    }
+
+    html += rows.map(([key, label, value]) => `
+      <div class="result-item">
+        <label>${label}:</label>
+        <span class="result-value">
+          <code id="repr-${key}" class="representation-value">${escapeHtml(value)}</code>
+          <button class="copy-value-btn" data-copy-from="repr-${key}" title="Copiar" aria-label="Copiar ${label}">
+            <i class="far fa-copy"></i>
+          </button>
+        </span>
+      </div>
+    `).join('');
+
+    return html;
+  }
+
+  async copyResult(button) {
+    const source = this.elements.conversionResults.querySelector(`#${button.dataset.copyFrom}`);
+    const text = source?.textContent?.trim();
+    if (!text) return;
+
+    try {
+      await navigator.clipboard.writeText(text);
+      button.classList.add('copied');
+      setTimeout(() => button.classList.remove('copied'), 1500);
+      this.showNotification('Copiado!', 'success');
+    } catch (error) {
+      this.showNotification('Erro ao copiar', 'error');
+    }
+  }
+
+  convertReverse() {
+    const input = this.elements.reverseInput?.value?.trim();
+    if (!input) {
+      this.showNotification('Insira um endereço, prefixo ou nome ip6.arpa', 'warning');
+      return;
+    }
+
+    try {
+      const result = this.performReverseConversion(input);
+      this.showReverseResults(result);
+      this.showNotification('Conversão reversa realizada!', 'success');
+    } catch (error) {
+      this.showNotification('Erro na conversão: ' + error.message, 'error');
+    }
+  }
+
+  performReverseConversion(input) {
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+
+    if (/arpa\.?$/i.test(input)) {
+      return { mode: 'parse', ...this.ipv6Utils.parseReverseName(input) };
+    }
+
+    if (input.includes('/')) {
+      return { mode: 'zones', ...this.ipv6Utils.toReverseZones(input) };
+    }
+
+    return { mode: 'name', name: this.ipv6Utils.toReverseName(input) };
+  }
+
+  showReverseResults(result) {
+    if (!this.elements.reverseResults) return;
+
+    let html = '';
+
+    if (result.mode === 'name') {
+      html = `
+        <div class="result-item">
+          <label>Nome PTR:</label>
+          <code>${result.name}</code>
+        </div>
+      `;
+    } else if (result.mode === 'zones') {
+      html = `
+        <div class="result-item">
+          <label>Rede:</label>
+          <code>${result.network}</code>
+        </div>
+        <div class="result-item">
+          <label>Zonas Reversas (/${result.zonePrefix}):</label>
+          <div class="reverse-zones">
+            ${result.zones.map(zone => `<code>${zone}</code>`).join('')}
+          </div>
+        </div>
+      `;
+
+      if (!result.aligned) {
+        html += `
+          <div class="result-item">
+            <label>Observação:</label>
+            <span>Prefixo /${result.prefix} não alinhado a nibble: ${result.zones.length} zonas /${result.zonePrefix} necessárias</span>
+          </div>
+        `;
+      }
+    } else {
+      html = `
+        <div class="result-item">
+          <label>${result.kind === 'address' ? 'Endereço' : 'Prefixo'}:</label>
+          <code>${result.kind === 'address' ? result.compressed : result.cidr}</code>
+        </div>
+        <div class="result-item">
+          <label>Expandido:</label>
+          <code>${result.expanded}</code>
+        </div>
+      `;
+    }
+
+    this.elements.reverseResults.innerHTML = html;
+    this.elements.reverseResults.style.display = 'block';
+  }
+
+  calculateNDP() {
+    const input = this.elements.ndpInput?.value?.trim();
+    if (!input) {
+      this.showNotification('Insira um endereço IPv6 ou MAC 33:33', 'warning');
+      return;
+    }
+
+    try {
+      const result = this.performNDPCalculation(input, this.elements.ndpRole?.value || 'host');
+      this.showNDPResults(result);
+      this.showNotification('Cálculo NDP realizado!', 'success');
+    } catch (error) {
+      this.showNotification('Erro no cálculo: ' + error.message, 'error');
+    }
+  }
+
+  performNDPCalculation(input, role) {
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+
+    if (/^33[:\-.]?33/i.test(input) && !input.includes('::')) {
+      return { mode: 'mac', ...this.ipv6Utils.macToMulticastGroups(input) };
+    }
+
+    const solicitedNode = this.ipv6Utils.getSolicitedNodeMulticast(input);
+    return {
+      mode: 'address',
+      solicitedNode: solicitedNode,
+      mac: this.ipv6Utils.multicastToMAC(solicitedNode),
+      groups: this.ipv6Utils.getJoinedMulticastGroups(input, role)
+    };
+  }
+
+  showNDPResults(result) {
+    if (!this.elements.ndpResults) return;
+
+    const renderGroups = groups => groups.length > 0 ?
+      groups.map(group => `
+        <div class="ndp-group">
+          <code>${group.group}</code>
+          <span>${group.name}</span>
+          ${group.mac ? `<code>${group.mac}</code>` : ''}
+        </div>
+      `).join('') :
+      '<span>Nenhum grupo bem conhecido</span>';
+
+    let html;
+
+    if (result.mode === 'mac') {
+      html = `
+        <div class="result-item">
+          <label>MAC Multicast:</label>
+          <code>${result.mac}</code>
+        </div>
+        <div class="result-item">
+          <label>Grupos Possíveis:</label>
+          <div class="ndp-groups">${renderGroups(result.groups)}</div>
+        </div>
+        <div class="result-item">
+          <label>Qualquer Grupo:</label>
+          <code>${result.pattern}</code>
+        </div>
+      `;
+    } else {
+      html = `
+        <div class="result-item">
+          <label>Solicited-Node:</label>
+          <code>${result.solicitedNode}</code>
+        </div>
+        <div class="result-item">
+          <label>MAC Multicast:</label>
+          <code>${result.mac}</code>
+        </div>
+        <div class="result-item">
+          <label>Grupos Assinados:</label>
+          <div class="ndp-groups">${renderGroups(result.groups)}</div>
+        </div>
+      `;
+    }
+
+    this.elements.ndpResults.innerHTML = html;
+    this.elements.ndpResults.style.display = 'block';
+  }
+
+  convertNAT64() {
+    const prefix = this.elements.nat64Prefix?.value?.trim();
+    const input = this.elements.nat64Input?.value?.trim();
+    if (!prefix || !input) {
+      this.showNotification('Insira o prefixo NAT64 e um endereço IPv4 ou IPv6', 'warning');
+      return;
+    }
+
+    try {
+      const result = this.performNAT64Conversion(prefix, input);
+      this.showNAT64Results(result);
+      this.showNotification('Conversão NAT64 realizada!', 'success');
+    } catch (error) {
+      this.showNotification('Erro na conversão: ' + error.message, 'error');
+    }
   }
 
-  /**
-   * Notifica observadores sobre mudança de aba
-   */
-  notifyObservers(oldTab, newTab) {
-    this.observers.forEach(callback => {
-      try {
-        callback({ oldTab, newTab, activeTab: this.activeTab });
-      } catch (error) {
-        console.error('[TabsManager] Erro em observador:', error);
-      }
-    });
+  performNAT64Conversion(prefix, input) {
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+
+    const result = input.includes(':') ?
+      this.ipv6Utils.extractIPv4FromNAT64(input, prefix) :
+      this.ipv6Utils.embedIPv4InNAT64(prefix, input);
+
+    // Prefixos usados aqui passam a ser reconhecidos na análise de endereços
+    this.ipv6Utils.addNAT64Prefix(result.prefix);
+
+    return result;
   }
 
-  /**
-   * Obtém aba ativa
-   */
-  getActiveTab() {
-    return this.activeTab;
+  showNAT64Results(result) {
+    if (this.elements.nat64Results) {
+      this.elements.nat64Results.style.display = 'block';
+    }
+
+    if (this.elements.nat64AddressResult) {
+      this.elements.nat64AddressResult.textContent = result.address;
+    }
+
+    if (this.elements.nat64IPv4Result) {
+      this.elements.nat64IPv4Result.textContent = result.ipv4;
+    }
+
+    if (this.elements.nat64PrefixResult) {
+      this.elements.nat64PrefixResult.textContent = result.prefix;
+    }
+
+    if (result.suffixZero === false) {
+      this.showNotification('Sufixo (bits após o IPv4) diferente de zero', 'warning');
+    }
   }
 
-  /**
-   * Obtém informações de uma aba
-   */
-  getTabInfo(tabId) {
-    return this.tabs.get(tabId);
+  calculate6rd() {
+    const prefix = this.elements.sixrdPrefix?.value?.trim();
+    const input = this.elements.sixrdInput?.value?.trim();
+    if (!prefix || !input) {
+      this.showNotification('Insira o prefixo 6rd e o IPv4 do cliente ou endereço IPv6', 'warning');
+      return;
+    }
+
+    try {
+      const result = this.perform6rdCalculation(prefix, input);
+      this.show6rdResults(result);
+      this.showNotification('Cálculo 6rd realizado!', 'success');
+    } catch (error) {
+      this.showNotification('Erro no cálculo: ' + error.message, 'error');
+    }
   }
 
-  /**
-   * Obtém lista de todas as abas
-   */
-  getAllTabs() {
-    return Array.from(this.tabs.entries()).map(([id, tab]) => ({
-      id,
-      title: tab.title,
-      loaded: tab.loaded,
-      active: id === this.activeTab
-    }));
+  perform6rdCalculation(prefix, input) {
+    if (!this.sixrd) {
+      throw new Error('Módulo 6rd não disponível');
+    }
+
+    const domain = {
+      prefix: prefix,
+      ipv4MaskLen: this.elements.sixrdMaskLen?.value || 0,
+      domainIPv4: this.elements.sixrdDomainIPv4?.value?.trim() || ''
+    };
+
+    return input.includes(':') ?
+      this.sixrd.extractIPv4(domain, input) :
+      this.sixrd.calculateDelegatedPrefix(domain, input);
   }
 
-  /**
-   * Verifica se uma aba está carregada
-   */
-  isTabLoaded(tabId) {
-    return this.loadedTabs.has(tabId);
+  show6rdResults(result) {
+    if (!this.elements.sixrdResults) return;
+
+    const layout = result.layout.map(segment => `
+      <div class="bit-segment" style="flex-grow: ${segment.length};">
+        <span class="bit-segment-label">${segment.label}</span>
+        <span class="bit-segment-range">bits ${segment.start}-${segment.end} (${segment.length})</span>
+        <code>${segment.bits}</code>
+      </div>
+    `).join('');
+
+    this.elements.sixrdResults.innerHTML = `
+      <div class="result-item">
+        <label>Prefixo Delegado:</label>
+        <code>${result.delegatedPrefix}</code>
+      </div>
+      <div class="result-item">
+        <label>IPv4 do Cliente:</label>
+        <code>${result.ipv4}</code>
+      </div>
+      <div class="result-item">
+        <label>Bits para Sub-redes:</label>
+        <code>${result.subnetBits} (${(1n << BigInt(result.subnetBits)).toString()} redes /64)</code>
+      </div>
+      <div class="bit-layout">${layout}</div>
+    `;
+    this.elements.sixrdResults.style.display = 'block';
   }
 
-  /**
-   * Força carregamento de uma aba
-   */
-  async forceLoadTab(tabId) {
-    if (!this.tabs.has(tabId)) {
-      throw new Error(`Aba não encontrada: ${tabId}`);
+  calculateMAP() {
+    const input = this.elements.mapInput?.value?.trim();
+    if (!input) {
+      this.showNotification('Insira o prefixo delegado do CE ou IPv4:porta', 'warning');
+      return;
     }
 
-    // Remover da lista de carregadas para forçar reload
-    this.loadedTabs.delete(tabId);
-    
-    // Carregar novamente
-    await this.loadTabContent(tabId);
+    try {
+      const result = this.performMAPCalculation(input);
+      this.showMAPResults(result);
+      result.warnings.forEach(warning => this.showNotification(warning, 'warning'));
+      this.showNotification('Cálculo MAP realizado!', 'success');
+    } catch (error) {
+      this.showNotification('Erro no cálculo: ' + error.message, 'error');
+    }
   }
-}
 
-// ===== FEATURES DAS ABAS =====
+  performMAPCalculation(input) {
+    if (!this.mapCalculator) {
+      throw new Error('Módulo MAP não disponível');
+    }
 
-/**
- * Feature para Análise Múltipla
- */
-class MultiAnalysisFeature {
-  async initialize(container) {
-    console.log('[MultiAnalysisFeature] Inicializando...');
-    
-    // Obter elementos
-    this.elements = {
-      textarea: container.querySelector('#multiPrefixes'),
-      analyzeBtn: container.querySelector('#analyzeMultiBtn'),
-      clearBtn: container.querySelector('#clearMultiBtn'),
-      results: container.querySelector('#multiResults'),
-      summary: container.querySelector('#multiSummary'),
-      content: container.querySelector('#multiContent')
+    const rule = {
+      ipv6Prefix: this.elements.mapRuleIPv6?.value?.trim() || '',
+      ipv4Prefix: this.elements.mapRuleIPv4?.value?.trim() || '',
+      eaBits: this.elements.mapEaBits?.value,
+      psidOffset: this.elements.mapPsidOffset?.value
     };
 
-    // Configurar event listeners
-    this.setupEventListeners();
+    const ipv4Match = input.match(/^([0-9.]+)(?::(\d+))?$/);
+    return ipv4Match ?
+      this.mapCalculator.calculateFromIPv4(rule, ipv4Match[1], ipv4Match[2]) :
+      this.mapCalculator.calculateFromPrefix(rule, input);
   }
 
-  setupEventListeners() {
-    if (this.elements.analyzeBtn) {
-      this.elements.analyzeBtn.addEventListener('click', () => this.analyzeMultiple());
+  showMAPResults(result) {
+    if (!this.elements.mapResults) return;
+
+    const ports = result.portRanges.length > 0 ?
+      `<div class="port-ranges">${result.portRanges.map(range => `<code>${range.start}-${range.end}</code>`).join('')}</div>` :
+      '<span>Todas (IPv4 não compartilhado)</span>';
+    const totalPorts = result.portRanges.reduce((sum, range) => sum + range.end - range.start + 1, 0);
+
+    this.elements.mapResults.innerHTML = `
+      <div class="result-item">
+        <label>Prefixo do CE:</label>
+        <code>${result.cePrefix}</code>
+      </div>
+      <div class="result-item">
+        <label>${result.ipv4Prefix ? 'Prefixo IPv4:' : 'IPv4 Compartilhado:'}</label>
+        <code>${result.ipv4Prefix || result.ipv4}</code>
+      </div>
+      <div class="result-item">
+        <label>PSID:</label>
+        <code>${result.psid === null ? '-' : `${result.psid} (0x${result.psid.toString(16)}, ${result.psidLength} bits)`}</code>
+      </div>
+      <div class="result-item">
+        <label>EA-bits:</label>
+        <code>${result.eaBits || '-'}</code>
+      </div>
+      <div class="result-item">
+        <label>Compartilhamento:</label>
+        <code>1:${result.sharingRatio}</code>
+      </div>
+      <div class="result-item">
+        <label>Endereço do CE (MAP):</label>
+        <code>${result.ceAddress}</code>
+      </div>
+      <div class="result-item">
+        <label>Interface ID:</label>
+        <code>${result.interfaceId}</code>
+      </div>
+      <div class="result-item">
+        <label>Portas${totalPorts > 0 ? ` (${totalPorts})` : ''}:</label>
+        ${ports}
+      </div>
+    `;
+    this.elements.mapResults.style.display = 'block';
+  }
+
+  calculateNPTv6() {
+    const internal = this.elements.nptInternal?.value?.trim();
+    const external = this.elements.nptExternal?.value?.trim();
+    if (!internal || !external) {
+      this.showNotification('Insira os prefixos interno e externo', 'warning');
+      return;
     }
 
-    if (this.elements.clearBtn) {
-      this.elements.clearBtn.addEventListener('click', () => this.clearAll());
+    try {
+      const result = this.performNPTv6Calculation(internal, external, this.elements.nptAddress?.value?.trim());
+      this.showNPTv6Results(result);
+      this.showNotification('Mapeamento NPTv6 calculado!', 'success');
+    } catch (error) {
+      this.showNotification('Erro no cálculo: ' + error.message, 'error');
     }
   }
 
-  analyzeMultiple() {
-    const text = this.elements.textarea?.value?.trim();
-    if (!text) {
-      this.showNotification('Insira pelo menos um prefixo para análise', 'warning');
-      return;
+  performNPTv6Calculation(internal, external, address) {
+    if (!this.nptv6) {
+      throw new Error('Módulo NPTv6 não disponível');
     }
 
-    const prefixes = text.split('\n').filter(line => line.trim());
-    console.log('Analisando prefixos:', prefixes);
+    const mapping = this.nptv6.createMapping(internal, external);
+    let translation = null;
+
+    if (address) {
+      // Direção definida pelo prefixo que contém o endereço
+      const [network, prefix] = mapping.internal.split('/');
+      const outbound = this.ipv6Utils.isInNetwork(address.split('/')[0], network, parseInt(prefix, 10));
+      translation = {
+        direction: outbound ? 'Interno → Externo' : 'Externo → Interno',
+        ...(outbound ?
+          this.nptv6.translateOutbound(mapping, address) :
+          this.nptv6.translateInbound(mapping, address))
+      };
+    }
 
-    // Simular análise
-    this.showResults(prefixes);
+    return { mapping, translation };
   }
 
-  showResults(prefixes) {
-    if (!this.elements.results) return;
+  showNPTv6Results(result) {
+    if (!this.elements.nptResults) return;
 
-    this.elements.results.style.display = 'block';
-    
-    if (this.elements.summary) {
-      this.elements.summary.textContent = `${prefixes.length} prefixos analisados`;
+    const { mapping, translation } = result;
+    let html = `
+      <div class="result-item">
+        <label>Mapeamento:</label>
+        <code>${mapping.internal} ↔ ${mapping.external}</code>
+      </div>
+      <div class="result-item">
+        <label>Ajuste:</label>
+        <code>${mapping.adjustmentHex}</code>
+      </div>
+      <div class="result-item">
+        <label>Palavra Ajustada:</label>
+        <code>${mapping.adjustmentWord} (bits ${mapping.adjustmentBits})</code>
+      </div>
+      <div class="result-item">
+        <label>Sobreposição:</label>
+        <span>${mapping.overlap ? mapping.overlap.reason : 'Não verificada'}</span>
+      </div>
+    `;
+
+    mapping.warnings.forEach(warning => {
+      html += `
+        <div class="result-item">
+          <label>Atenção:</label>
+          <span>${warning}</span>
+        </div>
+      `;
+    });
+
+    if (translation) {
+      html += `
+        <div class="result-item">
+          <label>${translation.direction}:</label>
+          <code>${translation.original} → ${translation.translated}</code>
+        </div>
+        <div class="result-item">
+          <label>Sub-rede:</label>
+          <code>${translation.subnetWord} → ${translation.translatedWord}</code>
+        </div>
+      `;
     }
 
-    if (this.elements.content) {
-      let html = '<div class="analysis-grid">';
-      
-      prefixes.forEach((prefix, index) => {
-        const isValid = this.validatePrefix(prefix);
-        html += `
-          <div class="analysis-card ${isValid ? 'success' : 'error'}">
-            <h4>Prefixo ${index + 1}</h4>
-            <code>${prefix}</code>
-            <div class="status">
-              <i class="fas ${isValid ? 'fa-check-circle' : 'fa-times-circle'}"></i>
-              ${isValid ? 'Válido' : 'Inválido'}
-            </div>
-          </div>
-        `;
-      });
-      
-      html += '</div>';
-      this.elements.content.innerHTML = html;
+    this.elements.nptResults.innerHTML = html;
+    this.elements.nptResults.style.display = 'block';
+  }
+
+  walkPrefix(steps) {
+    const cidr = this.elements.walkInput?.value?.trim();
+    if (!cidr) {
+      this.showNotification('Insira um prefixo', 'warning');
+      return;
     }
 
-    this.showNotification('Análise concluída!', 'success');
+    try {
+      const result = this.performPrefixWalk(cidr, steps, this.elements.walkParentLength?.value);
+      this.elements.walkInput.value = result.current;
+      this.showWalkResults(result);
+    } catch (error) {
+      this.showNotification('Erro no cálculo: ' + error.message, 'error');
+    }
   }
 
-  validatePrefix(prefix) {
-    // Validação simples
-    return prefix.includes('::') || prefix.match(/^[0-9a-fA-F:]+\/\d+$/);
+  performPrefixWalk(cidr, steps, parentLength) {
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+
+    const current = steps === 0 ?
+      this.ipv6Utils.parseCIDR(cidr).cidr :
+      this.ipv6Utils.getNextPrefix(cidr, steps);
+    if (!current) {
+      throw new Error('Limite do espaço de endereçamento IPv6 alcançado');
+    }
+
+    const prefix = parseInt(current.split('/')[1], 10);
+    const result = {
+      current,
+      previous: this.ipv6Utils.getPreviousPrefix(current),
+      next: this.ipv6Utils.getNextPrefix(current),
+      sibling: prefix > 0 ? this.ipv6Utils.getSiblingPrefix(current) : null,
+      parent: null
+    };
+
+    if (parentLength !== undefined && parentLength !== '') {
+      const parent = this.ipv6Utils.getSupernet(current, parentLength);
+      result.parent = {
+        cidr: parent,
+        index: this.ipv6Utils.getSubnetIndex(parent, current),
+        count: this.ipv6Utils.countSubnets(parent, prefix)
+      };
+    }
+
+    return result;
   }
 
-  clearAll() {
-    if (this.elements.textarea) {
-      this.elements.textarea.value = '';
+  showWalkResults(result) {
+    if (!this.elements.walkResults) return;
+
+    const rows = [
+      ['Prefixo Atual', result.current],
+      ['Anterior', result.previous || '—'],
+      ['Próximo', result.next || '—'],
+      ['Irmão', result.sibling || '—']
+    ];
+
+    if (result.parent) {
+      rows.push(
+        ['Bloco Pai', result.parent.cidr],
+        ['Posição no Pai', `${result.parent.index.toLocaleString()} de ${result.parent.count.toLocaleString()} (índice a partir de 0)`]
+      );
     }
-    
-    if (this.elements.results) {
-      this.elements.results.style.display = 'none';
+
+    this.elements.walkResults.innerHTML = rows.map(([label, value]) => `
+      <div class="result-item">
+        <label>${label}:</label>
+        <code>${value}</code>
+      </div>
+    `).join('');
+    this.elements.walkResults.style.display = 'block';
+  }
+
+  convertRange() {
+    const input = this.elements.rangeInput?.value?.trim();
+    if (!input) {
+      this.showNotification('Insira um intervalo ou uma lista de prefixos', 'warning');
+      return;
     }
 
-    this.showNotification('Análise limpa', 'info');
+    try {
+      const result = this.performRangeConversion(input);
+      this.showRangeResults(result);
+      this.showNotification('Conversão realizada!', 'success');
+    } catch (error) {
+      this.showNotification('Erro na conversão: ' + error.message, 'error');
+    }
   }
 
-  showNotification(message, type) {
-    // Usar sistema de notificações global se disponível
-    if (window.app && window.app.getModule('notifications')) {
-      window.app.getModule('notifications').show(message, type);
+  performRangeConversion(input) {
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+
+    if (this.ipv6Utils.isRange(input)) {
+      const range = this.ipv6Utils.parseRange(input);
+      return {
+        kind: 'range',
+        range,
+        cidrs: this.ipv6Utils.rangeToCIDRs(input)
+      };
+    }
+
+    const prefixes = input.split(/[\s,;]+/).filter(prefix => prefix);
+    return {
+      kind: 'prefixes',
+      ranges: this.ipv6Utils.cidrsToRanges(prefixes)
+    };
+  }
+
+  showRangeResults(result) {
+    if (!this.elements.rangeResults) return;
+
+    let html;
+    if (result.kind === 'range') {
+      html = `
+        <div class="result-item">
+          <label>Intervalo:</label>
+          <code>${result.range.startAddress} - ${result.range.endAddress}</code>
+        </div>
+        <div class="result-item">
+          <label>Endereços:</label>
+          <code>${result.range.size.toLocaleString()}</code>
+        </div>
+        <div class="result-item">
+          <label>Prefixos (${result.cidrs.length}):</label>
+          <div class="range-list">
+            ${result.cidrs.map(cidr => `<code>${cidr}</code>`).join('')}
+          </div>
+        </div>
+      `;
     } else {
-      console.log(`[${type.toUpperCase()}] ${message}`);
+      html = result.ranges.map((range, index) => `
+        <div class="result-item">
+          <label>Intervalo ${index + 1}:</label>
+          <code>${range.start} - ${range.end}</code>
+        </div>
+        <div class="result-item">
+          <label>Endereços:</label>
+          <code>${BigInt(range.size).toLocaleString()}</code>
+        </div>
+      `).join('');
     }
+
+    this.elements.rangeResults.innerHTML = html;
+    this.elements.rangeResults.style.display = 'block';
   }
-}
 
-/**
- * Feature para Planejamento de Rede
- */
-class PlanningFeature {
-  async initialize(container) {
-    console.log('[PlanningFeature] Inicializando...');
-    
-    this.elements = {
-      parentBlock: container.querySelector('#parentBlock'),
-      subnetSize: container.querySelector('#subnetSize'),
-      generateBtn: container.querySelector('#generatePlanBtn'),
-      results: container.querySelector('#planningResults'),
-      content: container.querySelector('#planContent')
-    };
+  calculateMask() {
+    const input = this.elements.maskInput?.value?.trim();
+    if (!input) {
+      this.showNotification('Insira um endereço e uma máscara', 'warning');
+      return;
+    }
 
-    this.setupEventListeners();
+    try {
+      const result = this.performMaskCalculation(input, this.elements.maskType?.value, this.elements.maskTest?.value?.trim());
+      this.showMaskResults(result);
+
+      if (!result.contiguous && this.elements.maskType?.value !== 'wildcard') {
+        this.showNotification('Máscara não contígua: não equivale a um prefixo CIDR', 'warning');
+      } else {
+        this.showNotification('Máscara calculada!', 'success');
+      }
+    } catch (error) {
+      this.showNotification('Erro no cálculo: ' + error.message, 'error');
+    }
   }
 
-  setupEventListeners() {
-    if (this.elements.generateBtn) {
-      this.elements.generateBtn.addEventListener('click', () => this.generatePlan());
+  performMaskCalculation(input, type, testAddress) {
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
     }
-  }
 
-  generatePlan() {
-    const parentBlock = this.elements.parentBlock?.value?.trim();
-    const subnetSize = this.elements.subnetSize?.value;
+    const result = this.ipv6Utils.parseMaskedInput(input, type);
 
-    if (!parentBlock) {
-      this.showNotification('Insira um bloco pai válido', 'warning');
-      return;
+    if (testAddress) {
+      const validation = this.ipv6Utils.validateIPv6(testAddress);
+      if (!validation.valid) {
+        throw new Error(`Endereço de teste inválido: ${testAddress}`);
+      }
+      result.test = {
+        address: validation.compressed,
+        matches: this.ipv6Utils.matchesMask(validation.expanded, result.base, result.netmask)
+      };
     }
 
-    console.log('Gerando plano:', { parentBlock, subnetSize });
-
-    // Simular geração de plano
-    this.showPlan(parentBlock, subnetSize);
+    return result;
   }
 
-  showPlan(parentBlock, subnetSize) {
-    if (!this.elements.results) return;
+  showMaskResults(result) {
+    if (!this.elements.maskResults) return;
+
+    const rows = [
+      ['Rede', result.cidr || `${result.base} (máscara não contígua)`],
+      ['Máscara de Rede', result.netmask],
+      ['Máscara Inversa', result.inverseMask],
+      ['Comprimento', result.contiguous ? `/${result.prefix}` : '—'],
+      ['Padrão', result.pattern],
+      ['Endereços Casados', BigInt(result.matchCount).toLocaleString()],
+      ['Primeiro', result.first],
+      ['Último', result.last]
+    ];
+
+    let html = rows.map(([label, value]) => `
+      <div class="result-item">
+        <label>${label}:</label>
+        <code>${value}</code>
+      </div>
+    `).join('');
 
-    this.elements.results.style.display = 'block';
+    html += `
+      <div class="result-item">
+        <label>Exemplos:</label>
+        <div class="range-list">
+          ${result.samples.map(sample => `<code>${sample}</code>`).join('')}
+        </div>
+      </div>
+    `;
 
-    if (this.elements.content) {
-      const subnets = this.generateSubnets(parentBlock, subnetSize);
-      
-      let html = '<div class="subnets-table">';
-      html += '<div class="table-header">Sub-redes Geradas</div>';
-      
-      subnets.forEach((subnet, index) => {
-        html += `
-          <div class="subnet-row">
-            <span class="subnet-index">${index + 1}</span>
-            <code class="subnet-cidr">${subnet}</code>
-            <span class="subnet-type">/${subnetSize}</span>
-          </div>
-        `;
-      });
-      
-      html += '</div>';
-      this.elements.content.innerHTML = html;
+    if (result.test) {
+      html += `
+        <div class="result-item">
+          <label>Teste:</label>
+          <span>${result.test.address} ${result.test.matches ? 'casa com a máscara' : 'não casa com a máscara'}</span>
+        </div>
+      `;
     }
 
-    this.showNotification('Plano gerado com sucesso!', 'success');
+    this.elements.maskResults.innerHTML = html;
+    this.elements.maskResults.style.display = 'block';
   }
 
-  generateSubnets(parentBlock, subnetSize) {
-    // Gerar sub-redes de exemplo
-    const basePrefix = parentBlock.split('::')[0];
-    const subnets = [];
-    
-    for (let i = 0; i < 10; i++) {
-      subnets.push(`${basePrefix}:${i.toString(16).padStart(4, '0')}::/${subnetSize}`);
+  async generateULA() {
+    if (!this.ulaGenerator) {
+      this.showNotification('Gerador de ULA não disponível', 'error');
+      return;
     }
-    
-    return subnets;
-  }
 
-  showNotification(message, type) {
-    if (window.app && window.app.getModule('notifications')) {
-      window.app.getModule('notifications').show(message, type);
-    } else {
-      console.log(`[${type.toUpperCase()}] ${message}`);
+    try {
+      this.lastULA = await this.ulaGenerator.generate({ identifier: this.elements.ulaIdentifier?.value });
+      this.showULAResults(this.lastULA);
+      if (this.elements.ulaSaveBtn) this.elements.ulaSaveBtn.disabled = false;
+      this.showNotification('Prefixo ULA gerado!', 'success');
+    } catch (error) {
+      this.showNotification('Erro na geração: ' + error.message, 'error');
     }
   }
-}
 
-/**
- * Feature para Calculadora IPv6
- */
-class CalculatorFeature {
-  async initialize(container) {
-    console.log('[CalculatorFeature] Inicializando...');
-    
-    this.elements = {
-      // Tabs
-      calcTabs: container.querySelectorAll('.calc-tab'),
-      calcPanels: container.querySelectorAll('.calc-panel'),
-      
-      // Converter
-      calcInput: container.querySelector('#calcInput'),
-      convertBtn: container.querySelector('#convertBtn'),
-      conversionResults: container.querySelector('#conversionResults'),
-      expandedResult: container.querySelector('#expandedResult'),
-      compressedResult: container.querySelector('#compressedResult'),
-      typeResult: container.querySelector('#typeResult'),
-      
-      // Subnet
-      subnetCalcInput: container.querySelector('#subnetCalcInput'),
-      calcSubnetBtn: container.querySelector('#calcSubnetBtn'),
-      subnetResults: container.querySelector('#subnetResults'),
-      networkResult: container.querySelector('#networkResult'),
-      firstHostResult: container.querySelector('#firstHostResult'),
-      lastHostResult: container.querySelector('#lastHostResult'),
-      totalAddressesResult: container.querySelector('#totalAddressesResult'),
-      
-      // Random
-      randomPrefix: container.querySelector('#randomPrefix'),
-      generateRandomBtn: container.querySelector('#generateRandomBtn'),
-      randomResults: container.querySelector('#randomResults'),
-      randomAddressResult: container.querySelector('#randomAddressResult')
-    };
+  showULAResults(result) {
+    if (!this.elements.ulaResults) return;
 
-    this.setupEventListeners();
+    const identifierTypes = { eui64: 'EUI-64', 'machine-id': 'ID da máquina', random: 'Aleatório' };
+    this.elements.ulaResults.innerHTML = `
+      <div class="result-item">
+        <label>Prefixo ULA:</label>
+        <code>${result.prefix}</code>
+      </div>
+      <div class="result-item">
+        <label>Global ID:</label>
+        <code>${result.globalId}</code>
+      </div>
+      <div class="result-item">
+        <label>Timestamp:</label>
+        <code>${result.inputs.timestamp} (NTP ${result.inputs.ntpTimestamp})</code>
+      </div>
+      <div class="result-item">
+        <label>${identifierTypes[result.inputs.identifierType]}:</label>
+        <code>${escapeHtml(result.inputs.identifier)}</code>
+      </div>
+      <div class="result-item">
+        <label>SHA-1:</label>
+        <code>${result.digest}</code>
+      </div>
+      ${result.attempts > 1 ? `
+      <div class="result-item">
+        <label>Atenção:</label>
+        <span>${result.attempts - 1} colisão(ões) com ULAs salvos; timestamp avançado</span>
+      </div>` : ''}
+    `;
+    this.elements.ulaResults.style.display = 'block';
   }
 
-  setupEventListeners() {
-    // Calculator tabs
-    this.elements.calcTabs.forEach(tab => {
-      tab.addEventListener('click', () => {
-        const calcType = tab.dataset.calc;
-        this.switchCalcTab(calcType);
-      });
-    });
+  saveULA() {
+    if (!this.lastULA) return;
 
-    // Convert button
-    if (this.elements.convertBtn) {
-      this.elements.convertBtn.addEventListener('click', () => this.convertAddress());
+    try {
+      this.ulaGenerator.save(this.lastULA, this.elements.ulaNote?.value || '');
+      this.lastULA = null;
+      if (this.elements.ulaSaveBtn) this.elements.ulaSaveBtn.disabled = true;
+      this.showSavedULAs();
+      this.showNotification('ULA salvo!', 'success');
+    } catch (error) {
+      this.showNotification('Erro ao salvar: ' + error.message, 'error');
     }
+  }
 
-    // Subnet calculation button
-    if (this.elements.calcSubnetBtn) {
-      this.elements.calcSubnetBtn.addEventListener('click', () => this.calculateSubnet());
-    }
+  removeULA(prefix) {
+    this.ulaGenerator.remove(prefix);
+    this.showSavedULAs();
+    this.showNotification(`${prefix} removido`, 'info');
+  }
 
-    // Random generation button
-    if (this.elements.generateRandomBtn) {
-      this.elements.generateRandomBtn.addEventListener('click', () => this.generateRandom());
+  showSavedULAs() {
+    if (!this.elements.ulaSaved || !this.ulaGenerator) return;
+
+    const saved = this.ulaGenerator.getSaved();
+    this.elements.ulaSaved.style.display = saved.length > 0 ? 'block' : 'none';
+    this.elements.ulaSaved.innerHTML = saved.map(entry => `
+      <div class="result-item">
+        <label>${escapeHtml(entry.note || 'Sem nota')}:</label>
+        <code>${entry.prefix}</code>
+        <button class="copy-value-btn" data-remove-ula="${entry.prefix}" title="Remover">
+          <i class="fas fa-trash"></i>
+        </button>
+      </div>
+    `).join('');
+  }
+
+  async simulateSLAAC() {
+    const prefix = this.elements.slaacPrefix?.value?.trim();
+    if (!prefix) {
+      this.showNotification('Insira o prefixo anunciado no RA', 'warning');
+      return;
     }
 
-    // Enter key support
-    if (this.elements.calcInput) {
-      this.elements.calcInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') this.convertAddress();
-      });
+    if (!this.slaac) {
+      this.showNotification('Simulador SLAAC não disponível', 'error');
+      return;
     }
 
-    if (this.elements.subnetCalcInput) {
-      this.elements.subnetCalcInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') this.calculateSubnet();
+    try {
+      const result = await this.slaac.simulate({
+        prefix: prefix,
+        mac: this.elements.slaacMac?.value?.trim(),
+        netIface: this.elements.slaacInterface?.value,
+        networkId: this.elements.slaacNetworkId?.value,
+        dadCounter: this.elements.slaacDadCounter?.value,
+        secret: this.elements.slaacSecret?.value,
+        hash: this.elements.slaacHash?.value,
+        temporaryCount: this.elements.slaacTempCount?.value
       });
+      this.showSLAACResults(result);
+      this.showNotification('Simulação SLAAC concluída!', 'success');
+    } catch (error) {
+      this.showNotification('Erro na simulação: ' + error.message, 'error');
     }
   }
 
-  switchCalcTab(calcType) {
-    // Update tab buttons
-    this.elements.calcTabs.forEach(tab => {
-      tab.classList.toggle('active', tab.dataset.calc === calcType);
-    });
+  showSLAACResults(result) {
+    if (!this.elements.slaacResults) return;
 
-    // Update panels
-    this.elements.calcPanels.forEach(panel => {
-      panel.classList.toggle('active', panel.id === `calc-${calcType}`);
+    const { eui64, stable, temporary } = result;
+    const formatDate = (iso) => new Date(iso).toLocaleString();
+    const hours = (seconds) => `${(seconds / 3600).toFixed(1)} h`;
+
+    let html = `
+      <div class="result-item">
+        <label>Prefixo:</label>
+        <code>${result.prefix}</code>
+      </div>
+      <div class="analysis-grid">
+        <div class="analysis-card ${eui64 ? 'error' : ''}">
+          <h4>EUI-64 (legado)</h4>
+          ${eui64 ? `
+            <code>${eui64.address}</code>
+            <div class="input-help">IID ${eui64.interfaceId} · expõe o MAC ${eui64.mac} e rastreia o host entre redes</div>
+          ` : '<div class="input-help">Informe o MAC para calcular</div>'}
+        </div>
+        <div class="analysis-card success">
+          <h4>Estável Opaco (RFC 7217)</h4>
+          <code>${stable.address}</code>
+          <div class="input-help">IID ${stable.interfaceId} · F() = ${result.hash} · DAD_Counter ${stable.dadCounter}</div>
+        </div>
+        <div class="analysis-card success">
+          <h4>Temporário (RFC 8981)</h4>
+          <code>${temporary.addresses[0].address}</code>
+          <div class="input-help">Preferido por ${hours(temporary.preferredLifetime)} · válido por ${hours(temporary.validLifetime)}</div>
+        </div>
+      </div>
+      <div class="result-item">
+        <label>DESYNC_FACTOR:</label>
+        <span>${temporary.desyncFactor} s · novo temporário a cada ${hours(temporary.regenerateEvery)}</span>
+      </div>
+    `;
+
+    temporary.addresses.forEach(entry => {
+      html += `
+        <div class="result-item">
+          <label>Temporário ${entry.index} (${formatDate(entry.createdAt)}):</label>
+          <span><code>${entry.address}</code> preferido até ${formatDate(entry.preferredUntil)}, válido até ${formatDate(entry.validUntil)}</span>
+        </div>
+      `;
     });
+
+    this.elements.slaacResults.innerHTML = html;
+    this.elements.slaacResults.style.display = 'block';
   }
 
-  convertAddress() {
-    const address = this.elements.calcInput?.value?.trim();
-    if (!address) {
-      this.showNotification('Insira um endereço IPv6 válido', 'warning');
+  calculateArithmetic() {
+    const expression = this.elements.arithInput?.value?.trim();
+    if (!expression) {
+      this.showNotification('Insira uma expressão', 'warning');
       return;
     }
 
     try {
-      // Simulação de conversão IPv6
-      const result = this.performConversion(address);
-      this.showConversionResults(result);
-      this.showNotification('Conversão realizada!', 'success');
+      const result = this.ipv6Utils.evaluateAddressExpression(expression);
+      this.showArithmeticResults(result);
+      this.showNotification('Expressão calculada!', 'success');
     } catch (error) {
-      this.showNotification('Erro na conversão: ' + error.message, 'error');
-    }
-  }
-
-  performConversion(address) {
-    // Simulação simples de conversão IPv6
-    let expanded = address;
-    let compressed = address;
-    let type = 'Global Unicast';
-
-    // Detectar tipo básico
-    if (address.includes('::1')) {
-      type = 'Loopback';
-    } else if (address.startsWith('fe80:')) {
-      type = 'Link-Local';
-    } else if (address.startsWith('fc') || address.startsWith('fd')) {
-      type = 'Unique Local';
-    } else if (address.startsWith('2001:db8:')) {
-      type = 'Documentation';
-    }
-
-    // Simulação de expansão (muito básica)
-    if (address.includes('::')) {
-      expanded = address.replace('::', ':0000:0000:0000:0000:');
-    }
-
-    // Simulação de compressão
-    if (!address.includes('::')) {
-      compressed = address.replace(/:0000:/g, '::').replace(/::.*::/, '::');
+      this.showNotification('Erro no cálculo: ' + error.message, 'error');
     }
-
-    return { expanded, compressed, type };
   }
 
-  showConversionResults(result) {
-    if (this.elements.conversionResults) {
-      this.elements.conversionResults.style.display = 'block';
-    }
+  showArithmeticResults(result) {
+    if (!this.elements.arithResults) return;
 
-    if (this.elements.expandedResult) {
-      this.elements.expandedResult.textContent = result.expanded;
-    }
+    const signedHex = (value) => `${value < 0n ? '-' : ''}0x${(value < 0n ? -value : value).toString(16)}`;
+    let html = '';
 
-    if (this.elements.compressedResult) {
-      this.elements.compressedResult.textContent = result.compressed;
+    if (result.type === 'address') {
+      html = `
+        <div class="result-item">
+          <label>Resultado:</label>
+          <code>${result.address}</code>
+        </div>
+        <div class="result-item">
+          <label>Expandido:</label>
+          <code>${result.expanded}</code>
+        </div>
+        <div class="result-item">
+          <label>Deslocamento:</label>
+          <code>${result.offset.toLocaleString()} (${signedHex(result.offset)})</code>
+        </div>
+        ${result.outsidePrefix ? `
+        <div class="result-item">
+          <label>Atenção:</label>
+          <span>Resultado fora do prefixo ${result.base}/${result.prefix}</span>
+        </div>` : ''}
+      `;
+    } else if (result.type === 'distance') {
+      const size = (result.distance < 0n ? -result.distance : result.distance) + 1n;
+      html = `
+        <div class="result-item">
+          <label>Distância:</label>
+          <code>${result.distance.toLocaleString()} (${signedHex(result.distance)})</code>
+        </div>
+        <div class="result-item">
+          <label>De → Para:</label>
+          <code>${result.from} → ${result.to}</code>
+        </div>
+        <div class="result-item">
+          <label>Endereços no Intervalo (inclusivo):</label>
+          <code>${size.toLocaleString()}</code>
+        </div>
+      `;
+    } else {
+      html = `
+        <div class="result-item">
+          <label>Prefixo Comum:</label>
+          <code>/${result.length}</code>
+        </div>
+        <div class="result-item">
+          <label>Bloco Comum:</label>
+          <code>${result.prefix}</code>
+        </div>
+      `;
     }
 
-    if (this.elements.typeResult) {
-      this.elements.typeResult.textContent = result.type;
-    }
+    this.elements.arithResults.innerHTML = html;
+    this.elements.arithResults.style.display = 'block';
   }
 
   calculateSubnet() {
@@ -1101,45 +3389,109 @@ class CalculatorFeature {
     }
   }
 
-  generateRandom() {
-    const basePrefix = this.elements.randomPrefix?.value;
-    if (!basePrefix) {
-      this.showNotification('Selecione um prefixo base', 'warning');
+  async generateRandom() {
+    const prefix = this.elements.randomPrefix?.value?.trim();
+    if (!prefix) {
+      this.showNotification('Informe o prefixo base', 'warning');
+      return;
+    }
+
+    if (!this.addressGenerator) {
+      this.showNotification('Gerador de endereços não disponível', 'error');
       return;
     }
 
+    const list = (this.elements.randomList?.value || '').split('\n').map(line => line.trim()).filter(line => line);
+
     try {
-      const randomAddress = this.generateRandomAddress(basePrefix);
-      this.showRandomResults(randomAddress);
-      this.showNotification('Endereço aleatório gerado!', 'success');
+      const result = await this.addressGenerator.generate({
+        prefix: prefix,
+        mode: this.elements.randomMode?.value,
+        count: this.elements.randomCount?.value,
+        offset: this.elements.randomOffset?.value,
+        macs: list,
+        interfaces: list,
+        secret: this.elements.randomSecret?.value
+      });
+
+      this.generatedAddresses = result.addresses;
+      if (this.elements.exportRandomBtn) this.elements.exportRandomBtn.disabled = false;
+      this.showRandomResults(result);
+      this.showNotification(`${result.addresses.length} endereço(s) gerado(s)!`, 'success');
     } catch (error) {
       this.showNotification('Erro na geração: ' + error.message, 'error');
     }
   }
 
-  generateRandomAddress(basePrefix) {
-    // Gerar endereço aleatório dentro do prefixo
-    const [baseAddr] = basePrefix.split('/');
-    const randomPart = Math.floor(Math.random() * 0xFFFF).toString(16).padStart(4, '0');
-    
-    if (baseAddr.includes('2001:db8:')) {
-      return `2001:db8:${randomPart}::1`;
-    } else if (baseAddr.includes('fc00:')) {
-      return `fc00::${randomPart}:1`;
-    } else if (baseAddr.includes('fe80:')) {
-      return `fe80::${randomPart}`;
+  updateRandomModeFields() {
+    const mode = this.elements.randomMode?.value;
+    this.elements.randomModeFields.forEach(field => {
+      field.style.display = field.dataset.randomModes.split(' ').includes(mode) ? '' : 'none';
+    });
+  }
+
+  async useNewULAPrefix() {
+    if (!this.ulaGenerator) {
+      this.showNotification('Gerador de ULA não disponível', 'error');
+      return;
+    }
+
+    try {
+      // Primeira sub-rede /64 de um ULA /48 recém-gerado
+      const ula = await this.ulaGenerator.generate();
+      this.elements.randomPrefix.value = ula.prefix.replace('/48', '/64');
+    } catch (error) {
+      this.showNotification('Erro na geração: ' + error.message, 'error');
     }
-    
-    return `${baseAddr}${randomPart}::1`;
   }
 
-  showRandomResults(address) {
-    if (this.elements.randomResults) {
-      this.elements.randomResults.style.display = 'block';
+  showRandomResults(result) {
+    if (!this.elements.randomResults) return;
+
+    const preview = result.addresses.slice(0, this.RANDOM_PREVIEW_LIMIT);
+    const hidden = result.addresses.length - preview.length;
+    let html = `
+      <div class="result-item">
+        <label>Prefixo:</label>
+        <code>${result.prefix}</code>
+      </div>
+      <div class="result-item">
+        <label>Modo:</label>
+        <span>${result.modeName}</span>
+      </div>
+      <div class="result-item">
+        <label>Endereços Gerados (${result.addresses.length}):</label>
+        <div class="range-list">
+          ${preview.map(address => `<code>${address}</code>`).join('')}
+          ${hidden > 0 ? `<span>… mais ${hidden} (use Exportar Lista)</span>` : ''}
+        </div>
+      </div>
+    `;
+
+    if (result.skipped.length > 0) {
+      html += `
+        <div class="result-item">
+          <label>Ignorados (${result.skipped.length}):</label>
+          <div class="range-list">
+            ${result.skipped.map(entry => `<span><code>${escapeHtml(entry.address)}</code> ${escapeHtml(entry.reason)}${entry.label ? ` · ${escapeHtml(entry.label)}` : ''}</span>`).join('')}
+          </div>
+        </div>
+      `;
     }
 
-    if (this.elements.randomAddressResult) {
-      this.elements.randomAddressResult.textContent = address;
+    this.elements.randomResults.innerHTML = html;
+    this.elements.randomResults.style.display = 'block';
+  }
+
+  async exportGeneratedAddresses() {
+    const exportManager = window.app ? window.app.getModule('exportManager') : null;
+    if (!exportManager || this.generatedAddresses.length === 0) return;
+
+    try {
+      await exportManager.exportData(this.generatedAddresses, 'txt', 'ipv6_hosts', { includeTimestamp: false });
+      this.showNotification('Lista de hosts exportada!', 'success');
+    } catch (error) {
+      this.showNotification('Erro na exportação: ' + error.message, 'error');
     }
   }
 
@@ -1159,12 +3511,15 @@ class ValidationFeature {
   async initialize(container) {
     console.log('[ValidationFeature] Inicializando...');
     
+    this.ipv6Utils = window.app ? window.app.getModule('ipv6Utils') : null;
+    
     this.elements = {
       input: container.querySelector('#validationInput'),
       validateBtn: container.querySelector('#validateBtn'),
       rfcCheck: container.querySelector('#rfcCheck'),
       securityCheck: container.querySelector('#securityCheck'),
       routabilityCheck: container.querySelector('#routabilityCheck'),
+      canonicalCheck: container.querySelector('#canonicalCheck'),
       results: container.querySelector('#validationResults'),
       content: container.querySelector('#validationContent')
     };
@@ -1194,7 +3549,8 @@ class ValidationFeature {
     const options = {
       rfc: this.elements.rfcCheck?.checked || false,
       security: this.elements.securityCheck?.checked || false,
-      routability: this.elements.routabilityCheck?.checked || false
+      routability: this.elements.routabilityCheck?.checked || false,
+      canonical: this.elements.canonicalCheck?.checked || false
     };
 
     try {
@@ -1207,55 +3563,113 @@ class ValidationFeature {
   }
 
   performValidation(address, options) {
-    // Simulação de validação abrangente
+    if (!this.ipv6Utils) {
+      throw new Error('IPv6Utils não disponível');
+    }
+
     const result = {
       address: address,
       valid: true,
       type: 'Global Unicast',
       scope: 'Global',
+      canonical: null,
       checks: []
     };
 
     // Validação básica de formato
-    const basicValid = this.isValidIPv6Format(address);
+    const validation = this.ipv6Utils.validateIPv6(address);
     result.checks.push({
       name: 'Formato Básico',
-      status: basicValid ? 'success' : 'error',
-      message: basicValid ? 'Formato IPv6 válido' : 'Formato IPv6 inválido'
+      status: validation.valid ? 'success' : 'error',
+      message: validation.valid ? 'Formato IPv6 válido' : validation.error
     });
 
-    if (!basicValid) {
+    if (!validation.valid) {
       result.valid = false;
       return result;
     }
 
     // Determinar tipo e escopo
-    if (address.includes('::1')) {
-      result.type = 'Loopback';
-      result.scope = 'Host';
-    } else if (address.startsWith('fe80:')) {
-      result.type = 'Link-Local';
-      result.scope = 'Link';
-    } else if (address.startsWith('fc') || address.startsWith('fd')) {
-      result.type = 'Unique Local';
-      result.scope = 'Organization';
-    } else if (address.startsWith('2001:db8:')) {
-      result.type = 'Documentation';
-      result.scope = 'Documentation';
-    }
+    result.type = validation.type;
+    result.scope = validation.scope;
 
     // Verificações RFC
     if (options.rfc) {
+      const rfcInfo = this.ipv6Utils.getRFCInfo(validation.expanded);
+      const isDeprecated = rfcInfo && rfcInfo.compliance === 'Deprecated';
       result.checks.push({
         name: 'Conformidade RFC',
-        status: 'success',
-        message: `Tipo ${result.type} está em conformidade com RFC 4291`
+        status: isDeprecated ? 'warning' : 'success',
+        message: rfcInfo ?
+          `Tipo ${result.type} - bloco ${rfcInfo.allocatedBlock} (${rfcInfo.rfc})${isDeprecated ? ', depreciado' : ''}` :
+          `Tipo ${result.type}`
+      });
+    }
+
+    // Decodificação multicast
+    const multicast = this.ipv6Utils.analyzeMulticast(validation.expanded);
+    if (multicast) {
+      const flags = multicast.flags;
+      const group = multicast.wellKnown ? `, grupo ${multicast.wellKnown.name} (${multicast.wellKnown.rfc})` : '';
+      result.checks.push({
+        name: 'Multicast (RFC 4291)',
+        status: multicast.issues.length > 0 ? 'warning' : 'success',
+        message: `Escopo ${multicast.scope.name} (${multicast.scope.hex}), flags R=${Number(flags.rendezvous)} P=${Number(flags.prefix)} T=${Number(flags.transient)}${group}`
+      });
+
+      if (multicast.unicastPrefix) {
+        result.checks.push({
+          name: multicast.kind === 'ssm' ? 'Source-Specific Multicast (RFC 4607)' : 'Baseado em Prefixo Unicast (RFC 3306)',
+          status: multicast.unicastPrefix.prefix ? 'success' : 'warning',
+          message: `Prefixo ${multicast.unicastPrefix.prefix || 'inválido'}, group ID 0x${multicast.unicastPrefix.groupId}`
+        });
+      }
+
+      if (multicast.embeddedRP) {
+        result.checks.push({
+          name: 'RP Embutido (RFC 3956)',
+          status: multicast.embeddedRP.rp ? 'success' : 'warning',
+          message: multicast.embeddedRP.rp ?
+            `RP ${multicast.embeddedRP.rp} (prefixo ${multicast.embeddedRP.prefix}, RIID ${multicast.embeddedRP.riid})` :
+            'Não foi possível extrair o endereço do RP'
+        });
+      }
+
+      multicast.issues.forEach(issue => {
+        result.checks.push({
+          name: 'Multicast',
+          status: 'warning',
+          message: issue
+        });
+      });
+    }
+
+    // Verificação da forma canônica
+    if (options.canonical) {
+      const lint = this.ipv6Utils.lintAddress(address);
+      result.canonical = lint.corrected;
+
+      if (lint.isCanonical) {
+        result.checks.push({
+          name: 'Forma Canônica (RFC 5952)',
+          status: 'success',
+          message: 'Endereço já está na forma canônica'
+        });
+      }
+
+      lint.findings.forEach(finding => {
+        const groups = finding.groups.length > 0 ? ` (${finding.groups.join(', ')})` : '';
+        result.checks.push({
+          name: finding.section,
+          status: 'warning',
+          message: `${finding.message}${groups}`
+        });
       });
     }
 
     // Verificações de segurança
     if (options.security) {
-      const isSecure = !address.startsWith('2001:db8:');
+      const isSecure = result.type !== 'Documentation';
       result.checks.push({
         name: 'Análise de Segurança',
         status: isSecure ? 'success' : 'warning',
@@ -1267,25 +3681,28 @@ class ValidationFeature {
 
     // Verificações de roteabilidade
     if (options.routability) {
-      const isRoutable = !['Loopback', 'Link-Local', 'Documentation'].includes(result.type);
+      const isRoutable = this.ipv6Utils.isRoutableAddress(validation.expanded);
+      const isGlobal = this.ipv6Utils.isGloballyReachable(validation.expanded);
+      let message = 'Endereço roteável globalmente';
+
+      if (!isRoutable) {
+        message = 'Endereço não encaminhável por roteadores (escopo limitado)';
+      } else if (isGlobal === false) {
+        message = 'Endereço encaminhável, mas não alcançável globalmente';
+      } else if (isGlobal === null) {
+        message = 'Alcance global depende do mecanismo de transição (N/A no registro IANA)';
+      }
+
       result.checks.push({
         name: 'Roteabilidade',
-        status: isRoutable ? 'success' : 'warning',
-        message: isRoutable ? 
-          'Endereço roteável globalmente' : 
-          'Endereço com escopo limitado'
+        status: isRoutable && isGlobal ? 'success' : 'warning',
+        message: message
       });
     }
 
     return result;
   }
 
-  isValidIPv6Format(address) {
-    // Validação básica de formato IPv6
-    const ipv6Regex = /^([0-9a-fA-F]{0,4}:){1,7}[0-9a-fA-F]{0,4}$|^::$|^::([0-9a-fA-F]{0,4}:){0,6}[0-9a-fA-F]{0,4}$|^([0-9a-fA-F]{0,4}:){1,7}:$/;
-    return ipv6Regex.test(address.split('/')[0]); // Remove CIDR se presente
-  }
-
   showValidationResults(result) {
     if (this.elements.results) {
       this.elements.results.style.display = 'block';
@@ -1311,6 +3728,12 @@ class ValidationFeature {
               <span>Escopo:</span>
               <span>${result.scope}</span>
             </div>
+            ${result.canonical ? `
+              <div class="detail-row">
+                <span>Forma Canônica:</span>
+                <code>${result.canonical}</code>
+              </div>
+            ` : ''}
           </div>
         </div>
       `;